@@ -2,35 +2,468 @@
 import { getPostId } from './lib/utils.js';
 import { downloadPostComments } from './lib/fetch-comments.js';
 import { formatForClaude } from './lib/format-prompt.js';
-// Get input from command line arguments
-const input = process.argv[2];
-async function main() {
-    try {
-        if (!input) {
-            console.error('Please provide a Hacker News post ID or URL');
+import { BUDGET_STRATEGIES } from './lib/token-budget.js';
+import { downloadStories, STORY_FEEDS } from './lib/fetch-stories.js';
+import { searchHN } from './lib/search.js';
+import { downloadUrlDiscussions, formatUrlDiscussionsForClaude } from './lib/url-discussions.js';
+import { configureCache, clearCache } from './lib/cache.js';
+import { configureHttpClient, getHttpClientConfig } from './lib/http-client.js';
+import { downloadThreadUpdates, formatDiff, saveSnapshot } from './lib/snapshots.js';
+import { getDiffSystemPrompt, getDiffUserPrompt } from './lib/format-prompt.js';
+import { linkCitations, formatCitationReport, resolveCitedComments, isValidPathIdMapping } from './lib/citations.js';
+import { computeThreadStats, formatThreadStats } from './lib/thread-stats.js';
+import { fetchArticle, DEFAULT_ARTICLE_MAX_LENGTH } from './lib/article.js';
+import { RENDER_MODES, LINK_STYLES } from './lib/render-comment.js';
+import { SCORING_STRATEGIES, parseBlendWeights } from './lib/scoring.js';
+import { downloadUserProfile, isValidUsername } from './lib/users.js';
+import { downloadJobListings, formatListingsCsv, HIRING_THREAD_KINDS, LISTING_FORMATS } from './lib/job-listings.js';
+import { DATA_SOURCES, DEFAULT_DATA_SOURCE, formatDataSource } from './lib/data-sources.js';
+import { getTemplate, DEFAULT_STYLE } from './lib/prompt-templates.js';
+import fs from 'node:fs/promises';
+import { parseArgs } from 'node:util';
+// Get command, input and options from command line arguments:
+//   node index.js <post-id-or-url> [options]   Format a post for Claude
+//   node index.js stories [feed] [options]     List the stories of a feed
+//   node index.js search [query] [options]     Search stories and comments
+//   node index.js url <article-url> [options]  Format all the discussions of an article for Claude
+//   node index.js updates <post> [options]     Format the comments added since the last check for Claude
+//   node index.js stats <post> [options]       Compute the statistics of a discussion, without an LLM
+//   node index.js jobs <thread|latest> [opts]  Extract the listings of a hiring thread as JSON or CSV
+//   node index.js user <username> [options]    Get the profile and recent comments and submissions of a user
+//   node index.js link <post> <summary-file>   Link the [1.2.3] citations of a summary (- to read it from stdin)
+//   node index.js cache clear [post]           Clear the response cache, or only the entries of a post (ID or URL)
+const { values: options, positionals } = parseArgs({
+    allowPositionals: true,
+    options: {
+        'max-tokens': { type: 'string' },
+        'budget-strategy': { type: 'string', default: 'top_score' },
+        'render': { type: 'string', default: 'compact' },
+        'link-style': { type: 'string', default: 'inline' },
+        'show-time': { type: 'boolean', default: false },
+        'scoring': { type: 'string', default: 'position' },
+        'blend-weights': { type: 'string' },
+        'include-article': { type: 'boolean', default: false },
+        'style': { type: 'string', default: DEFAULT_STYLE },
+        'article-max-length': { type: 'string' },
+        'limit': { type: 'string' },
+        'min-points': { type: 'string' },
+        'min-comments': { type: 'string' },
+        'tags': { type: 'string' },
+        'sort': { type: 'string', default: 'relevance' },
+        'after': { type: 'string' },
+        'before': { type: 'string' },
+        'page': { type: 'string' },
+        'hits-per-page': { type: 'string' },
+        'max-threads': { type: 'string' },
+        'source': { type: 'string', default: DEFAULT_DATA_SOURCE },
+        'no-cache': { type: 'boolean', default: false },
+        'cache-ttl': { type: 'string' },
+        'offline': { type: 'boolean', default: false },
+        'fixtures': { type: 'string' },
+        'fetch-timeout': { type: 'string' },
+        'fetch-retries': { type: 'string' },
+        'fetch-concurrency': { type: 'string' },
+        'user-agent': { type: 'string' },
+        'since': { type: 'string' },
+        'no-save': { type: 'boolean', default: false },
+        'kind': { type: 'string', default: 'hiring' },
+        'keyword': { type: 'string' },
+        'location': { type: 'string' },
+        'remote': { type: 'string' },
+        'format': { type: 'string', default: 'json' },
+        'mapping': { type: 'string' },
+    }
+});
+/**
+ * Get a non-negative integer command line option, exiting on invalid values
+ * @param name - Option name
+ * @param defaultValue - Value when the option is not given
+ * @returns Option value
+ */
+function getIntegerOption(name, defaultValue) {
+    if (options[name] === undefined) {
+        return defaultValue;
+    }
+    const value = Number(options[name]);
+    if (!Number.isInteger(value) || value < 0) {
+        console.error(`Invalid --${name}. Please provide a non-negative integer`);
+        process.exit(1);
+    }
+    return value;
+}
+/**
+ * Run a cache command
+ * @param action - Cache action, only clear is supported
+ * @param input - Optional post ID or URL to only clear its entries
+ */
+async function runCacheCommand(action, input) {
+    if (action !== 'clear') {
+        console.error('Unknown cache command. Usage: node index.js cache clear [post-id-or-url]');
+        process.exit(1);
+    }
+    const postId = input === undefined ? undefined : getPostId(input);
+    if (input !== undefined && !postId) {
+        console.error('Invalid input. Please provide a valid Hacker News post ID or URL');
+        process.exit(1);
+    }
+    const removed = await clearCache(postId);
+    console.log(`Removed ${removed} cache entries`);
+}
+/**
+ * List the stories of a feed
+ * @param feed - Feed name, defaults to top
+ */
+async function listStories(feed = 'top') {
+    if (!STORY_FEEDS.includes(feed)) {
+        console.error(`Invalid feed. Please use one of: ${STORY_FEEDS.join(', ')}`);
+        process.exit(1);
+    }
+    const stories = await downloadStories(feed, {
+        limit: getIntegerOption('limit', 30),
+        minPoints: getIntegerOption('min-points', 0),
+        minComments: getIntegerOption('min-comments', 0)
+    });
+    console.log(JSON.stringify(stories, null, 2));
+}
+/**
+ * Search stories and comments
+ * @param query - Full text query
+ */
+async function search(query) {
+    const results = await searchHN(query, {
+        tags: options.tags ? options.tags.split(',').map(tag => tag.trim()) : [],
+        sort: options.sort,
+        createdAfter: options.after,
+        createdBefore: options.before,
+        minPoints: getIntegerOption('min-points', undefined),
+        minComments: getIntegerOption('min-comments', undefined),
+        page: getIntegerOption('page', 0),
+        hitsPerPage: getIntegerOption('hits-per-page', 20)
+    });
+    console.log(JSON.stringify(results, null, 2));
+}
+/**
+ * Download all the discussions of an article and format them for Claude
+ * @param input - Article URL, or HN post ID or URL linking to the article
+ */
+async function summarizeUrlDiscussions(input) {
+    if (!input) {
+        console.error('Please provide an article URL, or a Hacker News post ID or URL');
+        process.exit(1);
+    }
+    const maxThreads = getIntegerOption('max-threads', 5);
+    const { articleUrl, submissions, submissionsTruncated, threads } = await downloadUrlDiscussions(input, { maxThreads });
+    console.log(`Found ${submissions.length} submissions of ${articleUrl}, downloaded ${threads.length} discussions`);
+    if (submissionsTruncated) {
+        console.error('Warning: the search returned too many results to read them all, some submissions may be missing');
+    }
+    const formattedData = formatUrlDiscussionsForClaude(articleUrl, threads);
+    console.log('Formatted data for Claude:');
+    console.log(JSON.stringify(formattedData, null, 2));
+    console.log('\nTo use this data with Claude, pass the systemPrompt and userPrompt values to Claude.');
+}
+/**
+ * Download a post and format the comments added since a snapshot or a point in time for Claude
+ * @param input - Post ID or URL
+ */
+async function summarizeUpdates(input) {
+    const postId = input ? getPostId(input) : null;
+    if (!postId) {
+        console.error('Please provide a valid Hacker News post ID or URL');
+        process.exit(1);
+    }
+    const updates = await downloadThreadUpdates(postId, {
+        since: options.since,
+        save: !options['no-save']
+    });
+    if (updates.snapshotId) {
+        console.log(`Saved snapshot ${updates.snapshotId} of post "${updates.post.title}" with ${updates.commentCount} comments`);
+    }
+    if (!updates.entries) {
+        console.log('There is no earlier snapshot of this post. Run the command again later to get the new comments.');
+        return;
+    }
+    console.log(`${updates.newCommentCount} new comments since ${updates.since}`);
+    const formattedData = {
+        systemPrompt: getDiffSystemPrompt(),
+        userPrompt: getDiffUserPrompt(updates.post.title, formatDiff(updates.entries), updates.since, updates.newCommentCount),
+        postTitle: updates.post.title,
+        postId: updates.post.id,
+        since: updates.since,
+        baselineSnapshotId: updates.baselineSnapshotId,
+        newCommentCount: updates.newCommentCount
+    };
+    console.log('Formatted data for Claude:');
+    console.log(JSON.stringify(formattedData, null, 2));
+}
+/**
+ * Compute the statistics of a discussion, printing them as JSON followed by a markdown table
+ * @param input - Post ID or URL
+ */
+async function showThreadStats(input) {
+    const postId = input ? getPostId(input) : null;
+    if (!postId) {
+        console.error('Please provide a valid Hacker News post ID or URL');
+        process.exit(1);
+    }
+    const { post, postComments } = await downloadPostComments(postId, { noCache: options['no-cache'], source: options.source });
+    const stats = computeThreadStats(postComments);
+    console.log(JSON.stringify({ postId: post.id, postTitle: post.title, stats }, null, 2));
+    console.log(`\n${formatThreadStats(post.title, stats)}`);
+}
+/**
+ * Get the profile of a user with their recent comments and submissions
+ * @param username - HN username
+ */
+async function showUser(username) {
+    if (!isValidUsername(username)) {
+        console.error('Please provide a valid Hacker News username');
+        process.exit(1);
+    }
+    const user = await downloadUserProfile(username, {
+        page: getIntegerOption('page', 0),
+        hitsPerPage: getIntegerOption('hits-per-page', 20),
+        noCache: options['no-cache']
+    });
+    console.log(JSON.stringify(user, null, 2));
+}
+/**
+ * Extract the listings of a hiring thread, printing them as JSON or CSV
+ * @param input - Thread ID or URL, or latest
+ */
+async function extractJobListings(input) {
+    if (!input) {
+        console.error('Usage: node index.js jobs <thread-id-or-url|latest> [--kind hiring|freelancer|seeking]');
+        process.exit(1);
+    }
+    if (!HIRING_THREAD_KINDS.includes(options.kind)) {
+        console.error(`Invalid --kind. Please use one of: ${HIRING_THREAD_KINDS.join(', ')}`);
+        process.exit(1);
+    }
+    if (!LISTING_FORMATS.includes(options.format)) {
+        console.error(`Invalid --format. Please use one of: ${LISTING_FORMATS.join(', ')}`);
+        process.exit(1);
+    }
+    if (options.remote !== undefined && !['yes', 'no'].includes(options.remote)) {
+        console.error('Invalid --remote. Please use yes or no');
+        process.exit(1);
+    }
+    const { listings, listingCount, title } = await downloadJobListings(input, {
+        kind: options.kind,
+        keyword: options.keyword,
+        location: options.location,
+        remote: options.remote === undefined ? undefined : options.remote === 'yes',
+        noCache: options['no-cache'],
+        source: options.source
+    });
+    // The listings go to stdout, so that they can be redirected to a file
+    console.error(`${listings.length} of the ${listingCount} listings of "${title}"`);
+    process.stdout.write(options.format === 'csv' ? formatListingsCsv(listings) : `${JSON.stringify(listings, null, 2)}\n`);
+}
+/**
+ * Read the whole standard input
+ * @returns Standard input as text
+ */
+async function readStdin() {
+    const chunks = [];
+    for await (const chunk of process.stdin) {
+        chunks.push(chunk);
+    }
+    return Buffer.concat(chunks).toString('utf8');
+}
+/**
+ * Link the [1.2.3] citations of a summary to the HN comments, printing the linked summary and the flagged citations
+ * @param input - Post ID or URL
+ * @param summaryFile - Markdown summary file, or - for stdin
+ */
+async function linkSummaryCitations(input, summaryFile) {
+    const postId = input ? getPostId(input) : null;
+    if (!postId || !summaryFile) {
+        console.error('Usage: node index.js link <post-id-or-url> <summary-file>');
+        process.exit(1);
+    }
+    const summary = summaryFile === '-' ? await readStdin() : await fs.readFile(summaryFile, 'utf8');
+    // The mapping file is the formatted data of the summarized thread, or its commentPathIdMapping alone
+    let commentPathIdMapping;
+    if (options.mapping) {
+        const mappingData = JSON.parse(await fs.readFile(options.mapping, 'utf8'));
+        commentPathIdMapping = mappingData.commentPathIdMapping ?? mappingData;
+        if (!isValidPathIdMapping(commentPathIdMapping)) {
+            console.error('Invalid --mapping. Please provide a JSON file with the commentPathIdMapping of the formatted thread');
             process.exit(1);
         }
+    }
+    const { comments, mappingSource } = await resolveCitedComments(summary, postId, {
+        commentPathIdMapping,
+        noCache: options['no-cache'],
+        source: options.source
+    });
+    const result = linkCitations(summary, comments);
+    // The linked summary goes to stdout, so that it can be redirected to a file
+    console.log(result.linkedSummary);
+    console.error(`Citations resolved with the paths from the ${{ argument: 'mapping file', snapshot: 'latest snapshot', download: 'thread downloaded again' }[mappingSource]}`);
+    console.error(formatCitationReport(result.flagged));
+}
+/**
+ * Download a post and format it for Claude
+ * @param input - Post ID or URL
+ */
+async function summarizePost(input) {
+    if (!input) {
+        console.error('Please provide a Hacker News post ID or URL');
+        process.exit(1);
+    }
+
+    const postId = getPostId(input);
+    if (!postId) {
+        console.error('Invalid input. Please provide a valid Hacker News post ID or URL');
+        process.exit(1);
+    }
 
-        const postId = getPostId(input);
-        if (!postId) {
-            console.error('Invalid input. Please provide a valid Hacker News post ID or URL');
+    const maxTokens = options['max-tokens'] !== undefined ? Number(options['max-tokens']) : undefined;
+    if (maxTokens !== undefined && (!Number.isInteger(maxTokens) || maxTokens <= 0)) {
+        console.error('Invalid --max-tokens. Please provide a positive integer');
+        process.exit(1);
+    }
+    const budgetStrategy = options['budget-strategy'];
+    if (!BUDGET_STRATEGIES.includes(budgetStrategy)) {
+        console.error(`Invalid --budget-strategy. Please use one of: ${BUDGET_STRATEGIES.join(', ')}`);
+        process.exit(1);
+    }
+    const renderMode = options['render'];
+    if (!RENDER_MODES.includes(renderMode)) {
+        console.error(`Invalid --render. Please use one of: ${RENDER_MODES.join(', ')}`);
+        process.exit(1);
+    }
+    const linkStyle = options['link-style'];
+    if (!LINK_STYLES.includes(linkStyle)) {
+        console.error(`Invalid --link-style. Please use one of: ${LINK_STYLES.join(', ')}`);
+        process.exit(1);
+    }
+    const scoring = { strategy: options['scoring'] };
+    if (!SCORING_STRATEGIES.includes(scoring.strategy)) {
+        console.error(`Invalid --scoring. Please use one of: ${SCORING_STRATEGIES.join(', ')}`);
+        process.exit(1);
+    }
+    if (scoring.strategy === 'blend') {
+        try {
+            scoring.weights = parseBlendWeights(options['blend-weights']);
+        }
+        catch (error) {
+            console.error(`Invalid --blend-weights. ${error.message}`);
             process.exit(1);
         }
+    }
+    let template;
+    try {
+        template = await getTemplate(options['style']);
+    }
+    catch (error) {
+        console.error(`Invalid --style. ${error.message}`);
+        process.exit(1);
+    }
 
-        console.log(`Processing Hacker News post ID: ${postId}`);
+    console.log(`Processing Hacker News post ID: ${postId}`);
 
-        // Download and process comments
-        const { post, postComments } = await downloadPostComments(postId);
+    // Download and process comments
+    const { post, postComments, pageCount, links, dataSource, diagnostics } = await downloadPostComments(postId, {
+        noCache: options['no-cache'],
+        render: { mode: renderMode, linkStyle },
+        scoring,
+        source: options.source
+    });
+    // Snapshot the thread, so that the updates command can later return what is new since it was read
+    await saveSnapshot(post, postComments, scoring)
+        .catch(error => console.error('Error saving snapshot:', error instanceof Error ? error.message : error));
 
-        console.log(`Downloaded post "${post.title}" with ${postComments.length} comments`);
+    console.log(`Downloaded post "${post.title}" with ${postComments.length} comments from ${pageCount} page(s)`);
+    console.log(formatDataSource(dataSource));
+    if (diagnostics.warning) {
+        console.error(`Warning: ${diagnostics.warning}`);
+    }
 
-        // Format data for Claude
-        const formattedData = formatForClaude(post, postComments);
-        // Output the formatted data
-        console.log('Formatted data for Claude:');
-        console.log(JSON.stringify(formattedData, null, 2));
+    // Format data for Claude
+    const article = options['include-article']
+        ? await fetchArticle(post.url, { maxLength: getIntegerOption('article-max-length', DEFAULT_ARTICLE_MAX_LENGTH) })
+        : null;
+    if (article && !article.text) {
+        console.log(`Summarizing without the article. ${article.note}`);
+    }
+    const formattedData = formatForClaude(post, postComments, {
+        maxTokens,
+        budgetStrategy,
+        renderMode,
+        links,
+        showTime: options['show-time'],
+        scoring,
+        article,
+        template
+    });
+    // Output the formatted data
+    console.log('Formatted data for Claude:');
+    console.log(JSON.stringify(formattedData, null, 2));
+    if (formattedData.chunks) {
+        console.log(`\nThe discussion was split into ${formattedData.chunks.length} chunks. Pass the systemPrompt and each chunk's userPrompt to Claude, then merge the partial summaries with the reducePrompt.`);
+    }
+    else {
         console.log('\nTo use this data with Claude, pass the systemPrompt and userPrompt values to Claude.');
     }
+}
+async function main() {
+    try {
+        if (!DATA_SOURCES.includes(options.source)) {
+            console.error(`Invalid --source. Please use one of: ${DATA_SOURCES.join(', ')}`);
+            process.exit(1);
+        }
+        configureCache({
+            ttl: getIntegerOption('cache-ttl', undefined),
+            offline: options.offline || undefined,
+            fixturesDir: options.fixtures
+        });
+        configureHttpClient({
+            timeout: getIntegerOption('fetch-timeout', undefined),
+            retries: getIntegerOption('fetch-retries', undefined),
+            concurrency: getIntegerOption('fetch-concurrency', undefined),
+            userAgent: options['user-agent']
+        });
+        // The HN_FETCH_* environment variables are checked as well
+        const { timeout, retries, concurrency } = getHttpClientConfig();
+        if (!Number.isInteger(timeout) || timeout <= 0 || !Number.isInteger(retries) || retries < 0 || !Number.isInteger(concurrency) || concurrency <= 0) {
+            console.error(`Invalid HTTP client configuration: timeout ${timeout}, retries ${retries}, concurrency ${concurrency}. Please provide a positive timeout and concurrency and a non-negative number of retries`);
+            process.exit(1);
+        }
+        switch (positionals[0]) {
+            case 'cache':
+                await runCacheCommand(positionals[1], positionals[2]);
+                break;
+            case 'stories':
+                await listStories(positionals[1]);
+                break;
+            case 'search':
+                await search(positionals.slice(1).join(' '));
+                break;
+            case 'url':
+                await summarizeUrlDiscussions(positionals[1]);
+                break;
+            case 'updates':
+                await summarizeUpdates(positionals[1]);
+                break;
+            case 'stats':
+                await showThreadStats(positionals[1]);
+                break;
+            case 'user':
+                await showUser(positionals[1]);
+                break;
+            case 'jobs':
+                await extractJobListings(positionals[1]);
+                break;
+            case 'link':
+                await linkSummaryCitations(positionals[1], positionals[2]);
+                break;
+            default:
+                await summarizePost(positionals[0]);
+        }
+    }
     catch (error) {
         console.error('Error:', error instanceof Error ? error.message : 'Unknown error');
         process.exit(1);
@@ -0,0 +1,132 @@
+/**
+ * Functions for fetching the article a post links to and extracting its readable text
+ * Failures other than cancellation never throw: the article is optional context, so the result carries a note explaining why it is missing.
+ */
+import { httpFetch, InvalidResponseError, RequestCancelledError } from './http-client.js';
+import { parse } from 'node-html-parser';
+import { getCacheConfig } from './cache.js';
+// Default maximum length of the article text, in characters (~5000 tokens)
+export const DEFAULT_ARTICLE_MAX_LENGTH = 20000;
+// Elements that never contain the article text
+const BOILERPLATE_SELECTOR = [
+    'script', 'style', 'noscript', 'template', 'svg', 'canvas', 'iframe', 'form', 'button', 'input', 'select',
+    'nav', 'header', 'footer', 'aside', 'figure figcaption',
+    '[role="navigation"]', '[role="banner"]', '[role="contentinfo"]', '[role="complementary"]', '[aria-hidden="true"]',
+    '.nav', '.navbar', '.menu', '.sidebar', '.footer', '.header', '.comments', '.cookie', '.newsletter', '.share', '.social', '.related', '.ad', '.ads', '.advertisement'
+].join(', ');
+// Containers of the main content, tried in order
+const CONTENT_SELECTORS = ['article', 'main', '[role="main"]', '#content', '.content', '.post', '.entry-content', 'body'];
+// Elements whose text forms the paragraphs of the article
+const BLOCK_SELECTOR = 'h1, h2, h3, h4, h5, h6, p, li, pre, blockquote, td';
+// Pages with less text than this are likely paywalls, consent walls or script-rendered pages
+const MIN_ARTICLE_LENGTH = 200;
+// Upper bound on the size of an article page, the download is stopped past it
+export const MAX_ARTICLE_BYTES = 5 * 1024 * 1024;
+/**
+ * Extract the title and readable text of an HTML page, without navigation, scripts and other boilerplate
+ * @param html - HTML page
+ * @returns Title and text, with paragraphs separated by blank lines
+ */
+export function extractReadableText(html) {
+    const root = parse(html, { blockTextElements: { script: true, style: true, noscript: true, pre: true } });
+    const title = root.querySelector('meta[property="og:title"]')?.getAttribute('content')
+        || root.querySelector('title')?.text
+        || '';
+    root.querySelectorAll(BOILERPLATE_SELECTOR).forEach(element => element.remove());
+    // The first candidate with enough text, so that a small <article> teaser does not win over <main>
+    const container = CONTENT_SELECTORS
+        .map(selector => root.querySelector(selector))
+        .filter(Boolean)
+        .find(element => element.text.trim().length >= MIN_ARTICLE_LENGTH) ?? root;
+    const blocks = container.querySelectorAll(BLOCK_SELECTOR)
+        // Nested blocks (e.g. <p> inside <li>) are already part of their parent's text
+        .filter(element => !element.parentNode?.closest?.(BLOCK_SELECTOR))
+        .map(element => element.text.replace(/\s+/g, ' ').trim())
+        .filter(Boolean);
+    const text = blocks.length > 0
+        ? blocks.join('\n\n')
+        : container.text.replace(/\s+/g, ' ').trim();
+    return {
+        title: title.replace(/\s+/g, ' ').trim(),
+        text
+    };
+}
+/**
+ * Truncate a text to a maximum length, at a word boundary
+ * @param text - Text
+ * @param maxLength - Maximum length in characters
+ * @returns Truncated text, ending with [...] when it was cut
+ */
+function truncateText(text, maxLength) {
+    if (text.length <= maxLength) {
+        return text;
+    }
+    const cut = text.slice(0, maxLength);
+    const lastSpace = cut.lastIndexOf(' ');
+    return `${lastSpace > maxLength * 0.8 ? cut.slice(0, lastSpace) : cut} [...]`;
+}
+/**
+ * Fetch the article a post links to and extract its readable text
+ * @param url - Article URL
+ * @param options - Fetch options
+ * @param options.maxLength - Maximum length of the text in characters, defaults to DEFAULT_ARTICLE_MAX_LENGTH
+ * @param options.signal - Signal cancelling the download
+ * @returns Article with its URL, title, text, original length and whether it was truncated,
+ * or with its URL and a note explaining why it could not be included
+ */
+export async function fetchArticle(url, { maxLength = DEFAULT_ARTICLE_MAX_LENGTH, signal } = {}) {
+    if (!url) {
+        return { url: null, note: 'The post does not link to an article.' };
+    }
+    if (getCacheConfig().offline) {
+        return { url, note: 'The article was not fetched in offline mode.' };
+    }
+    try {
+        // Articles are optional context, a single retry is enough
+        const response = await httpFetch(url, {
+            signal,
+            format: 'text',
+            description: 'the article',
+            retries: 1,
+            headers: { 'Accept': 'text/html,application/xhtml+xml' },
+            // PDFs, videos and archives are rejected from their headers, before their body is downloaded
+            contentTypePattern: /html/i,
+            maxBytes: MAX_ARTICLE_BYTES
+        });
+        const { title, text } = extractReadableText(response.body);
+        if (text.length < MIN_ARTICLE_LENGTH) {
+            return { url, note: 'The article page has almost no readable text, it is likely behind a paywall or rendered by scripts.' };
+        }
+        return {
+            url,
+            title,
+            text: truncateText(text, maxLength),
+            length: text.length,
+            truncated: text.length > maxLength
+        };
+    }
+    catch (error) {
+        if (error instanceof RequestCancelledError) {
+            throw error;
+        }
+        if (error instanceof InvalidResponseError && error.reason === 'content-type') {
+            return { url, note: `The article is not an HTML page (${error.contentType?.split(';')[0] || 'unknown content type'}), e.g. a PDF or an image, so its text was not included.` };
+        }
+        if (error instanceof InvalidResponseError && error.reason === 'too-large') {
+            return { url, note: `The article page is larger than ${MAX_ARTICLE_BYTES / 1024 / 1024} MB, so its text was not included.` };
+        }
+        return { url, note: `${error.message}.` };
+    }
+}
+/**
+ * Format an article for the user prompt or a content block
+ * @param article - Article from fetchArticle
+ * @returns Formatted article, or the note when it could not be included
+ */
+export function formatArticle(article) {
+    if (!article.text) {
+        return `Article not included. ${article.note}`;
+    }
+    const truncation = article.truncated ? ` (truncated, ${article.length} characters in full)` : '';
+    return `Title: ${article.title || '-'}\nURL: ${article.url}${truncation}\n\n${article.text}`;
+}
@@ -0,0 +1,195 @@
+/**
+ * Persistent on-disk cache for the responses of Algolia and news.ycombinator.com
+ * Entries are keyed by source and item ID, and revalidated with ETag / Last-Modified once their TTL has expired.
+ * In offline mode, responses are only served from the cache or from a fixtures directory of recorded responses.
+ */
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import crypto from 'node:crypto';
+import { httpFetch } from './http-client.js';
+/**
+ * Cache configuration, initialized from the environment variables:
+ * - HN_CACHE_DIR: cache directory, defaults to ~/.cache/hn-companion-mcp
+ * - HN_CACHE_TTL: time to live of the entries in seconds, defaults to 300
+ * - HN_CACHE: set to false to disable the cache
+ * - HN_OFFLINE: set to true to never use the network
+ * - HN_FIXTURES_DIR: directory of recorded responses, laid out as <source>/<key>.json or <source>/<key>.html
+ */
+const cacheConfig = {
+    enabled: process.env.HN_CACHE !== 'false',
+    dir: process.env.HN_CACHE_DIR || path.join(os.homedir(), '.cache', 'hn-companion-mcp'),
+    ttl: Number(process.env.HN_CACHE_TTL ?? 300),
+    offline: process.env.HN_OFFLINE === 'true',
+    fixturesDir: process.env.HN_FIXTURES_DIR || null
+};
+/**
+ * Override the cache configuration, e.g. from command line options
+ * @param overrides - Configuration values to override
+ */
+export function configureCache(overrides) {
+    Object.entries(overrides).forEach(([key, value]) => {
+        if (value !== undefined) {
+            cacheConfig[key] = value;
+        }
+    });
+}
+/**
+ * Get the current cache configuration
+ * @returns Cache configuration
+ */
+export function getCacheConfig() {
+    return { ...cacheConfig };
+}
+/**
+ * Get the file name for a cache key, keeping only safe characters
+ * @param key - Cache key, e.g. the item ID
+ * @returns File name without extension
+ */
+function toFileName(key) {
+    return String(key).replace(/[^\w.-]/g, '_');
+}
+/**
+ * Read a cache entry
+ * @param source - Source of the response, e.g. algolia-item
+ * @param key - Cache key
+ * @returns Cache entry or null if not cached
+ */
+async function readCacheEntry(source, key) {
+    try {
+        const entryPath = path.join(cacheConfig.dir, source, `${toFileName(key)}.json`);
+        return JSON.parse(await fs.readFile(entryPath, 'utf8'));
+    }
+    catch (error) {
+        return null;
+    }
+}
+/**
+ * Write a cache entry, through a temporary file so that concurrent readers never see a partial entry
+ * The cache is an optimization: a failed write (e.g. a read-only cache directory) is logged, never thrown.
+ * @param source - Source of the response
+ * @param key - Cache key
+ * @param entry - Cache entry
+ */
+async function writeCacheEntry(source, key, entry) {
+    const sourceDir = path.join(cacheConfig.dir, source);
+    const entryPath = path.join(sourceDir, `${toFileName(key)}.json`);
+    // Unique per write, so that concurrent fetches of the same key never share a temporary file
+    const tempPath = `${entryPath}.${crypto.randomUUID()}.tmp`;
+    try {
+        await fs.mkdir(sourceDir, { recursive: true });
+        await fs.writeFile(tempPath, JSON.stringify(entry));
+        await fs.rename(tempPath, entryPath);
+    }
+    catch (error) {
+        console.error(`Failed to write the cache entry ${source}/${key}:`, error instanceof Error ? error.message : error);
+        await fs.rm(tempPath, { force: true }).catch(() => { });
+    }
+}
+/**
+ * Read a recorded response from the fixtures directory
+ * @param source - Source of the response
+ * @param key - Cache key
+ * @param format - json or text
+ * @returns Response body or null if there is no fixture
+ */
+async function readFixture(source, key, format) {
+    if (!cacheConfig.fixturesDir) {
+        return null;
+    }
+    const extension = format === 'json' ? 'json' : 'html';
+    try {
+        const body = await fs.readFile(path.join(cacheConfig.fixturesDir, source, `${toFileName(key)}.${extension}`), 'utf8');
+        return format === 'json' ? JSON.parse(body) : body;
+    }
+    catch (error) {
+        return null;
+    }
+}
+/**
+ * Fetch a URL through the cache
+ * @param request - Request details
+ * @param request.source - Source of the response, used as the cache namespace, e.g. algolia-item or hn-html
+ * @param request.key - Cache key within the source, e.g. the item ID
+ * @param request.url - URL to fetch
+ * @param request.format - json or text
+ * @param request.description - Description of the resource for error messages, e.g. post HTML
+ * @param request.noCache - Bypass the cache and always fetch (the response is still cached)
+ * @param request.signal - Signal cancelling the request
+ * @returns Response body, parsed when JSON
+ */
+export async function fetchCached({ source, key, url, format = 'json', description = url, noCache = false, signal }) {
+    if (cacheConfig.offline) {
+        const fixture = await readFixture(source, key, format);
+        if (fixture !== null) {
+            return fixture;
+        }
+        const entry = await readCacheEntry(source, key);
+        if (entry) {
+            return entry.body;
+        }
+        throw new Error(`Failed to fetch ${description}: not available offline (no fixture or cache entry for ${source}/${key})`);
+    }
+    const entry = cacheConfig.enabled ? await readCacheEntry(source, key) : null;
+    if (entry && !noCache && Date.now() - entry.fetchedAt < cacheConfig.ttl * 1000) {
+        return entry.body;
+    }
+    // Revalidate a stale entry with a conditional request
+    const headers = {};
+    if (entry?.etag) {
+        headers['If-None-Match'] = entry.etag;
+    }
+    if (entry?.lastModified) {
+        headers['If-Modified-Since'] = entry.lastModified;
+    }
+    const response = await httpFetch(url, {
+        headers,
+        signal,
+        format,
+        description,
+        acceptStatuses: entry ? [304] : []
+    });
+    if (response.status === 304) {
+        await writeCacheEntry(source, key, { ...entry, fetchedAt: Date.now() });
+        return entry.body;
+    }
+    const { body } = response;
+    if (cacheConfig.enabled) {
+        await writeCacheEntry(source, key, {
+            url,
+            fetchedAt: Date.now(),
+            etag: response.headers.get('etag'),
+            lastModified: response.headers.get('last-modified'),
+            body
+        });
+    }
+    return body;
+}
+/**
+ * Clear the cache
+ * @param key - Optional cache key (e.g. an item ID) to only clear its entries, in all sources
+ * @returns Number of entries removed
+ */
+export async function clearCache(key) {
+    let removed = 0;
+    let sources;
+    try {
+        sources = await fs.readdir(cacheConfig.dir);
+    }
+    catch (error) {
+        return 0;
+    }
+    for (const source of sources) {
+        const sourceDir = path.join(cacheConfig.dir, source);
+        const files = await fs.readdir(sourceDir).catch(() => []);
+        for (const file of files) {
+            // Pages of an item are cached as <id>-p<page>
+            const fileKey = file.replace(/\.json$/, '').replace(/-p\d+$/, '');
+            if (key === undefined || fileKey === toFileName(key)) {
+                await fs.rm(path.join(sourceDir, file), { force: true });
+                removed++;
+            }
+        }
+    }
+    return removed;
+}
@@ -0,0 +1,191 @@
+/**
+ * Functions for resolving the [1.2.3] hierarchy path citations of a summary into links to the HN comments
+ */
+import { downloadPostComments } from './fetch-comments.js';
+import { fetchHNItem } from './fetch-stories.js';
+import { getLatestPathIdMapping } from './snapshots.js';
+import { RequestCancelledError } from './http-client.js';
+import { htmlToText } from './utils.js';
+// A citation is a hierarchy path in square brackets that is not already a markdown link, e.g. [1.2.3]
+const CITATION_PATTERN = /(?<!\[)\[(\d+(?:\.\d+)*)\](?!\()/g;
+// Quotes in straight or curly double quotes
+const QUOTE_PATTERN = /"([^"\n]+)"|“([^”\n]+)”/g;
+// Author attribution right after a citation, e.g. [1.2] (user2)
+const AUTHOR_PATTERN = /^\s*\(([\w-]+)\)/;
+// Quote fragments shorter than this are not checked, they match too easily or too rarely to mean anything
+const MIN_FRAGMENT_LENGTH = 8;
+/**
+ * Normalize a text for comparing quotes: lower case, same quote characters, words only
+ * @param text - Text to normalize
+ * @returns Normalized text
+ */
+function normalizeForComparison(text) {
+    return text
+        .toLowerCase()
+        .replace(/[‘’]/g, "'")
+        .replace(/[^\p{L}\p{N}']+/gu, ' ')
+        .trim();
+}
+/**
+ * Check if a quote appears in a comment. Quotes shortened with ellipses are checked fragment by fragment.
+ * @param quote - Quoted text
+ * @param commentText - Comment text
+ * @returns True if every fragment of the quote is found in the comment
+ */
+export function isQuoteInComment(quote, commentText) {
+    const normalizedComment = normalizeForComparison(commentText);
+    return quote
+        .split(/\.{3}|…|\[\.\.\.\]/)
+        .map(normalizeForComparison)
+        .filter(fragment => fragment.length >= MIN_FRAGMENT_LENGTH)
+        .every(fragment => normalizedComment.includes(fragment));
+}
+/**
+ * Get the link to a comment on news.ycombinator.com
+ * @param commentId - Comment ID
+ * @returns Comment URL
+ */
+export function getCommentUrl(commentId) {
+    return `https://news.ycombinator.com/item?id=${commentId}`;
+}
+/**
+ * Rewrite the [path] citations of a summary into links to the HN comments, and check them.
+ * The quotes and author attribution following a citation, up to the next citation on the same line, are checked against the comment.
+ * @param summary - Markdown summary
+ * @param comments - Structured comments of the post, or the cited comments from resolveCitedComments
+ * @returns Summary with linked citations, and the check result of each citation
+ */
+export function linkCitations(summary, comments) {
+    const commentsByPath = new Map(comments.map(comment => [comment.path, comment]));
+    const citations = [];
+    const linkedLines = summary.split('\n').map((line, lineIndex) => {
+        const matches = [...line.matchAll(CITATION_PATTERN)];
+        matches.forEach((match, matchIndex) => {
+            const path = match[1];
+            const comment = commentsByPath.get(path);
+            // The text attributed to this citation runs until the next citation on the line
+            const start = match.index + match[0].length;
+            const end = matchIndex + 1 < matches.length ? matches[matchIndex + 1].index : line.length;
+            const attributedText = line.slice(start, end);
+            const quotes = [...attributedText.matchAll(QUOTE_PATTERN)].map(quoteMatch => quoteMatch[1] ?? quoteMatch[2]);
+            const author = attributedText.match(AUTHOR_PATTERN)?.[1] ?? null;
+            const citation = {
+                path,
+                line: lineIndex + 1,
+                commentId: comment?.id ?? null,
+                url: comment ? getCommentUrl(comment.id) : null,
+                issues: []
+            };
+            if (!comment) {
+                citation.issues.push(`No comment at path [${path}]`);
+            }
+            // The author and text of a mapped comment are missing when its item could not be fetched, only its link is given
+            else if (comment.text !== null) {
+                if (author && author !== comment.author) {
+                    citation.issues.push(`Attributed to ${author}, but [${path}] is by ${comment.author}`);
+                }
+                quotes
+                    .filter(quote => !isQuoteInComment(quote, comment.text))
+                    .forEach(quote => citation.issues.push(`Quote not found in [${path}]: "${quote}"`));
+            }
+            citations.push(citation);
+        });
+        return line.replace(CITATION_PATTERN, (citationText, path) => {
+            const comment = commentsByPath.get(path);
+            return comment ? `[${citationText}](${getCommentUrl(comment.id)})` : citationText;
+        });
+    });
+    const flagged = citations.filter(citation => citation.issues.length > 0);
+    return {
+        linkedSummary: linkedLines.join('\n'),
+        citations,
+        citationCount: citations.length,
+        flaggedCount: flagged.length,
+        flagged
+    };
+}
+/**
+ * Check that a map of hierarchy paths to comment IDs is well formed
+ * @param mapping - Map of paths to comment IDs, e.g. the commentPathIdMapping of a formatted thread
+ * @returns True if every key is a hierarchy path and every value a comment ID
+ */
+export function isValidPathIdMapping(mapping) {
+    return Boolean(mapping) && typeof mapping === 'object' && !Array.isArray(mapping)
+        && Object.entries(mapping).every(([path, commentId]) => /^\d+(\.\d+)*$/.test(path) && Number.isInteger(Number(commentId)) && Number(commentId) > 0);
+}
+/**
+ * Get the cited comments of a summary from a map of hierarchy paths to comment IDs
+ * Only the cited comments are fetched, by ID from the official HN API: their author and text do not depend on the ranking.
+ * @param summary - Markdown summary
+ * @param mapping - Map of paths to comment IDs
+ * @param options - Fetch options
+ * @param options.noCache - Bypass the cache
+ * @param options.signal - Signal cancelling the requests
+ * @returns Cited comments with their path, ID, author and text (null when their item could not be fetched)
+ */
+async function getMappedComments(summary, mapping, { noCache = false, signal } = {}) {
+    const citedPaths = [...new Set([...summary.matchAll(CITATION_PATTERN)].map(match => match[1]))]
+        .filter(path => mapping[path] !== undefined);
+    return Promise.all(citedPaths.map(async path => {
+        const commentId = Number(mapping[path]);
+        try {
+            const item = await fetchHNItem(commentId, { noCache, signal });
+            return { path, id: commentId, author: item?.by ?? null, text: item ? htmlToText(item.text) : null };
+        }
+        catch (error) {
+            if (error instanceof RequestCancelledError) {
+                throw error;
+            }
+            return { path, id: commentId, author: null, text: null };
+        }
+    }));
+}
+/**
+ * Get the comments cited by a summary, resolving the paths as they were when the thread was formatted
+ * Paths depend on the live ranking: a thread downloaded again may have new or re-ranked comments, and [2.1] may no longer be the cited comment.
+ * The map of paths to comment IDs is, in order: the given one (the commentPathIdMapping returned with the formatted thread),
+ * the one of the latest snapshot of the post (saved when the thread was formatted), or the paths of the thread downloaded again.
+ * @param summary - Markdown summary
+ * @param postId - Post ID
+ * @param options - Options
+ * @param options.commentPathIdMapping - Map of paths to comment IDs returned with the formatted thread, optional
+ * @param options.noCache - Bypass the cache
+ * @param options.source - Data source of the comment tree when the thread is downloaded again, see downloadCommentTree
+ * @param options.signal - Signal cancelling the downloads
+ * @returns Comments for linkCitations, and where the paths come from (mappingSource: argument, snapshot or download)
+ */
+export async function resolveCitedComments(summary, postId, { commentPathIdMapping, noCache = false, source, signal } = {}) {
+    if (commentPathIdMapping) {
+        return {
+            comments: await getMappedComments(summary, commentPathIdMapping, { noCache, signal }),
+            mappingSource: 'argument'
+        };
+    }
+    const latest = await getLatestPathIdMapping(postId);
+    if (latest) {
+        return {
+            comments: await getMappedComments(summary, latest.mapping, { noCache, signal }),
+            mappingSource: 'snapshot',
+            mappingTakenAt: latest.takenAt
+        };
+    }
+    const { postComments } = await downloadPostComments(postId, { noCache, source, signal });
+    return { comments: postComments, mappingSource: 'download' };
+}
+/**
+ * Format the flagged citations as a short report
+ * @param flagged - Flagged citations from linkCitations
+ * @returns Report, one line per issue
+ */
+export function formatCitationReport(flagged) {
+    if (flagged.length === 0) {
+        return 'All citations resolved to existing comments, and all quotes were found in the cited comments.';
+    }
+    let report = `${flagged.length} citations need checking:\n`;
+    flagged.forEach(citation => {
+        citation.issues.forEach(issue => {
+            report += `- line ${citation.line}: ${issue}\n`;
+        });
+    });
+    return report;
+}
@@ -0,0 +1,337 @@
+/**
+ * Data sources of the comment tree of a post
+ * - algolia: the Algolia API returns the whole tree in a single request, but lags minutes behind on fresh threads and sometimes misses comments
+ * - firebase: the official HN API (hacker-news.firebaseio.com) is always up to date, but returns one item per request, so the tree is walked through the `kids` of each item
+ * Both give the tree in the shape of the Algolia items, as consumed by extractComments.
+ */
+import { fetchCached } from './cache.js';
+import { fetchHNItem } from './fetch-stories.js';
+import { NotFoundError, RequestCancelledError } from './http-client.js';
+/**
+ * Data source selection
+ * - auto: Algolia, completed with the few comments it misses from the HN page by fetching them from the HN API,
+ *   and falling back to the whole HN API tree when Algolia fails or misses more than MAX_GRAFTED_COMMENTS (default)
+ * - algolia: Algolia only
+ * - firebase: the official HN API only
+ * - reconcile: both sources, using the HN API tree and reporting the comments missing from either of them
+ */
+export const DATA_SOURCES = ['auto', 'algolia', 'firebase', 'reconcile'];
+// Data source used when none is given, set with the HN_DATA_SOURCE environment variable
+export const DEFAULT_DATA_SOURCE = process.env.HN_DATA_SOURCE || 'auto';
+// Number of HN API items fetched in parallel while walking a tree
+const FIREBASE_CONCURRENCY = 8;
+// Comments missing from Algolia that auto fetches one by one from the HN API, past it the whole tree is walked instead
+const MAX_GRAFTED_COMMENTS = 20;
+/**
+ * Create a function running tasks with at most `concurrency` of them at a time
+ * @param concurrency - Maximum number of tasks in flight
+ * @returns Function taking a task (a function returning a promise) and returning the promise of its result
+ */
+function createLimiter(concurrency) {
+    let activeTasks = 0;
+    const waitingTasks = [];
+    function runNext() {
+        if (activeTasks >= concurrency || waitingTasks.length === 0) {
+            return;
+        }
+        const { task, resolve, reject } = waitingTasks.shift();
+        activeTasks++;
+        task()
+            .then(resolve, reject)
+            .finally(() => {
+                activeTasks--;
+                runNext();
+            });
+    }
+    return task => new Promise((resolve, reject) => {
+        waitingTasks.push({ task, resolve, reject });
+        runNext();
+    });
+}
+/**
+ * Convert an item of the official HN API to the shape of an Algolia item, without its children
+ * @param item - HN API item
+ * @returns Item with the Algolia field names
+ */
+function toAlgoliaItem(item) {
+    return {
+        id: item.id,
+        type: item.type,
+        // Deleted items have no author nor text, like in Algolia
+        author: item.by ?? null,
+        title: item.title ?? null,
+        url: item.url ?? null,
+        text: item.text ?? null,
+        points: item.score ?? null,
+        parent_id: item.parent ?? null,
+        story_id: null,
+        created_at: item.time ? new Date(item.time * 1000).toISOString() : null,
+        created_at_i: item.time ?? null,
+        children: []
+    };
+}
+/**
+ * Download the comment tree of a post from Algolia
+ * @param postId - Post ID
+ * @param options - Download options
+ * @param options.noCache - Bypass the cache
+ * @param options.signal - Signal cancelling the download
+ * @returns Algolia item with its nested children
+ */
+export async function downloadAlgoliaTree(postId, { noCache = false, signal } = {}) {
+    return fetchCached({
+        source: 'algolia-item',
+        key: postId,
+        url: `https://hn.algolia.com/api/v1/items/${postId}`,
+        description: 'post',
+        noCache,
+        signal
+    });
+}
+/**
+ * Download the comment tree of a post from the official HN API, walking the `kids` of each item with bounded parallelism
+ * @param postId - Post ID
+ * @param options - Download options
+ * @param options.noCache - Bypass the cache
+ * @param options.signal - Signal cancelling the download
+ * @returns Item in the shape of an Algolia item, with its nested children in the HN ranking order
+ */
+export async function downloadFirebaseTree(postId, { noCache = false, signal } = {}) {
+    const rootItem = await fetchHNItem(postId, { noCache, signal });
+    if (!rootItem) {
+        throw new NotFoundError(`Failed to fetch post ${postId} from the HN API: not found`, {
+            url: `https://hacker-news.firebaseio.com/v0/item/${postId}.json`
+        });
+    }
+    const limit = createLimiter(FIREBASE_CONCURRENCY);
+    // Only the item requests are limited, so that waiting for the children never holds a slot
+    async function addChildren(node, item) {
+        const children = await Promise.all((item.kids ?? []).map(async kidId => {
+            const kid = await limit(() => fetchHNItem(kidId, { noCache, signal }));
+            if (!kid) {
+                return null;
+            }
+            const child = toAlgoliaItem(kid);
+            await addChildren(child, kid);
+            return child;
+        }));
+        node.children = children.filter(Boolean);
+    }
+    const tree = toAlgoliaItem(rootItem);
+    await addChildren(tree, rootItem);
+    return tree;
+}
+/**
+ * Get the IDs of the comments of a tree that were not deleted, without the root item
+ * @param tree - Comment tree in the shape of an Algolia item
+ * @returns Set of comment IDs
+ */
+export function getCommentIds(tree) {
+    const commentIds = new Set();
+    function addComments(comment) {
+        comment.children?.forEach(child => {
+            if (child.author) {
+                commentIds.add(Number(child.id));
+            }
+            addComments(child);
+        });
+    }
+    addComments(tree);
+    return commentIds;
+}
+/**
+ * Fetch the comments missing from an Algolia tree from the HN API, and graft them under their parents
+ * Algolia lags a few seconds behind on active threads, so a handful of fresh replies is cheaper to fetch than the whole tree.
+ * @param tree - Tree from Algolia, completed in place, even when some comments cannot be grafted
+ * @param missingIds - IDs of the comments shown on the HN page that the tree misses
+ * @param options - Download options
+ * @param options.noCache - Bypass the cache
+ * @param options.signal - Signal cancelling the download
+ * @returns True if every comment was grafted, false if one has no parent in the tree, e.g. a reply to a comment Algolia does not have either
+ */
+async function graftMissingComments(tree, missingIds, { noCache = false, signal } = {}) {
+    const limit = createLimiter(FIREBASE_CONCURRENCY);
+    const items = await Promise.all(missingIds.map(commentId => limit(() => fetchHNItem(commentId, { noCache, signal }))));
+    const nodesById = new Map();
+    function addNode(node) {
+        nodesById.set(Number(node.id), node);
+        node.children?.forEach(addNode);
+    }
+    addNode(tree);
+    // A missing comment can reply to another missing comment, so they are grafted once their parent is in the tree
+    let pending = items.filter(Boolean);
+    while (pending.length > 0) {
+        const remaining = pending.filter(item => {
+            const parent = nodesById.get(Number(item.parent));
+            if (!parent) {
+                return true;
+            }
+            const node = toAlgoliaItem(item);
+            parent.children = [...(parent.children ?? []), node];
+            nodesById.set(Number(item.id), node);
+            return false;
+        });
+        if (remaining.length === pending.length) {
+            return false;
+        }
+        pending = remaining;
+    }
+    return true;
+}
+/**
+ * Compare the trees of both sources
+ * @param algoliaTree - Tree from Algolia
+ * @param firebaseTree - Tree from the HN API
+ * @returns Comment counts of both sources and the IDs of the comments missing from each of them
+ */
+export function reconcileTrees(algoliaTree, firebaseTree) {
+    const algoliaIds = getCommentIds(algoliaTree);
+    const firebaseIds = getCommentIds(firebaseTree);
+    return {
+        algoliaCount: algoliaIds.size,
+        firebaseCount: firebaseIds.size,
+        missingFromAlgolia: [...firebaseIds].filter(id => !algoliaIds.has(id)),
+        missingFromFirebase: [...algoliaIds].filter(id => !firebaseIds.has(id))
+    };
+}
+/**
+ * Download the comment tree of a post from the selected data source
+ * @param postId - Post ID
+ * @param options - Download options
+ * @param options.source - One of DATA_SOURCES, defaults to DEFAULT_DATA_SOURCE
+ * @param options.pageCommentIds - IDs of the comments shown on the HN page, used by auto to detect a stale Algolia tree
+ * @param options.noCache - Bypass the cache
+ * @param options.signal - Signal cancelling the download
+ * @returns Tree in the shape of an Algolia item, and the data source details: the requested and used source,
+ * the IDs of the comments auto fetched from the HN API into the Algolia tree (grafted),
+ * why auto fell back to the HN API (fallbackReason) and, for reconcile, the comments missing from each source (reconciliation)
+ */
+export async function downloadCommentTree(postId, { source = DEFAULT_DATA_SOURCE, pageCommentIds = [], noCache = false, signal } = {}) {
+    if (!DATA_SOURCES.includes(source)) {
+        throw new Error(`Unknown data source "${source}". Use one of: ${DATA_SOURCES.join(', ')}`);
+    }
+    const downloadOptions = { noCache, signal };
+    if (source === 'algolia' || source === 'firebase') {
+        const tree = source === 'algolia'
+            ? await downloadAlgoliaTree(postId, downloadOptions)
+            : await downloadFirebaseTree(postId, downloadOptions);
+        return { tree, dataSource: { requested: source, used: source } };
+    }
+    if (source === 'reconcile') {
+        const [algoliaResult, firebaseResult] = await Promise.allSettled([
+            downloadAlgoliaTree(postId, downloadOptions),
+            downloadFirebaseTree(postId, downloadOptions)
+        ]);
+        const cancelled = [algoliaResult, firebaseResult]
+            .find(result => result.status === 'rejected' && result.reason instanceof RequestCancelledError);
+        if (cancelled) {
+            throw cancelled.reason;
+        }
+        if (algoliaResult.status === 'rejected' && firebaseResult.status === 'rejected') {
+            throw algoliaResult.reason;
+        }
+        // One source failing leaves nothing to reconcile, the other one is used as is
+        if (firebaseResult.status === 'rejected') {
+            return {
+                tree: algoliaResult.value,
+                dataSource: { requested: source, used: 'algolia', fallbackReason: `The HN API failed: ${firebaseResult.reason.message}` }
+            };
+        }
+        if (algoliaResult.status === 'rejected') {
+            return {
+                tree: firebaseResult.value,
+                dataSource: { requested: source, used: 'firebase', fallbackReason: `Algolia failed: ${algoliaResult.reason.message}` }
+            };
+        }
+        // The HN API is the reference, Algolia is the one lagging behind
+        return {
+            tree: firebaseResult.value,
+            dataSource: {
+                requested: source,
+                used: 'firebase',
+                reconciliation: reconcileTrees(algoliaResult.value, firebaseResult.value)
+            }
+        };
+    }
+    let algoliaTree = null;
+    let fallbackReason;
+    try {
+        algoliaTree = await downloadAlgoliaTree(postId, downloadOptions);
+    }
+    catch (error) {
+        if (error instanceof RequestCancelledError) {
+            throw error;
+        }
+        // A 404 is expected for threads too fresh to be indexed yet
+        fallbackReason = `Algolia failed: ${error.message}`;
+    }
+    if (algoliaTree) {
+        const algoliaIds = getCommentIds(algoliaTree);
+        const missingIds = pageCommentIds.map(Number).filter(id => !algoliaIds.has(id));
+        if (missingIds.length === 0) {
+            return { tree: algoliaTree, dataSource: { requested: source, used: 'algolia' } };
+        }
+        const missingCount = missingIds.length;
+        fallbackReason = `Algolia is missing ${missingCount} comment${missingCount === 1 ? '' : 's'} shown on the HN page`;
+        if (missingCount <= MAX_GRAFTED_COMMENTS) {
+            // Grafted on a copy, as the Algolia tree is the fallback of the fallback below
+            const graftedTree = structuredClone(algoliaTree);
+            try {
+                if (await graftMissingComments(graftedTree, missingIds, downloadOptions)) {
+                    return { tree: graftedTree, dataSource: { requested: source, used: 'algolia', grafted: missingIds } };
+                }
+                fallbackReason += ', and some of them could not be placed in its tree';
+            }
+            catch (error) {
+                if (error instanceof RequestCancelledError) {
+                    throw error;
+                }
+                fallbackReason += `, and they could not be fetched from the HN API: ${error.message}`;
+            }
+        }
+        // A stale Algolia tree is still better than no tree when the HN API fails too
+        try {
+            const tree = await downloadFirebaseTree(postId, downloadOptions);
+            return { tree, dataSource: { requested: source, used: 'firebase', fallbackReason } };
+        }
+        catch (error) {
+            if (error instanceof RequestCancelledError) {
+                throw error;
+            }
+            return {
+                tree: algoliaTree,
+                dataSource: { requested: source, used: 'algolia', fallbackReason: `${fallbackReason}, but the HN API failed: ${error.message}` }
+            };
+        }
+    }
+    const tree = await downloadFirebaseTree(postId, downloadOptions);
+    return { tree, dataSource: { requested: source, used: 'firebase', fallbackReason } };
+}
+/**
+ * Format the data source details as a short note
+ * @param dataSource - Data source details from downloadCommentTree
+ * @returns One line note, e.g. "Comments from the HN API (Algolia is missing 3 comments shown on the HN page)"
+ */
+export function formatDataSource(dataSource) {
+    const sourceNames = { algolia: 'Algolia', firebase: 'the HN API' };
+    let note = `Comments from ${sourceNames[dataSource.used]}`;
+    if (dataSource.grafted?.length > 0) {
+        note += `, with ${dataSource.grafted.length} fresh comment${dataSource.grafted.length === 1 ? '' : 's'} from the HN API (${dataSource.grafted.join(', ')})`;
+    }
+    if (dataSource.fallbackReason) {
+        note += ` (${dataSource.fallbackReason})`;
+    }
+    const { reconciliation } = dataSource;
+    if (reconciliation) {
+        note += `, reconciled with Algolia: ${reconciliation.firebaseCount} comments on the HN API and ${reconciliation.algoliaCount} on Algolia`;
+        note += `, ${reconciliation.missingFromAlgolia.length} missing from Algolia`;
+        if (reconciliation.missingFromAlgolia.length > 0) {
+            note += ` (${reconciliation.missingFromAlgolia.join(', ')})`;
+        }
+        note += `, ${reconciliation.missingFromFirebase.length} missing from the HN API`;
+        if (reconciliation.missingFromFirebase.length > 0) {
+            note += ` (${reconciliation.missingFromFirebase.join(', ')})`;
+        }
+    }
+    return note;
+}
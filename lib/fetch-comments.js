@@ -1,6 +1,21 @@
 import { parse } from 'node-html-parser';
 import { decode } from 'html-entities';
-import fetch from 'node-fetch';
+import { fetchCached } from './cache.js';
+import { fetchHNItem } from './fetch-stories.js';
+import { htmlToText, formatAge, getDomain } from './utils.js';
+import { renderCommentMarkdown, createLinkRegistry } from './render-comment.js';
+import { scoreComments } from './scoring.js';
+import { downloadCommentTree } from './data-sources.js';
+// Upper bound on the comment pages followed for a post, in case the "More" links loop
+const MAX_COMMENT_PAGES = 50;
+// Upper bound on the ancestors fetched for a subthread
+const MAX_ANCESTORS = 100;
+// Start tag of the comment rows of an HN page, e.g. <tr class="athing comtr" id="123">
+const COMMENT_ROW_PATTERN = /<tr\b[^>]*\bclass\s*=\s*["'][^"']*\bcomtr\b[^"']*["'][^>]*>/gi;
+// Share of the comments of the tree missing from the HN page above which the diagnostics warn of a markup change
+export const MISMATCH_THRESHOLD = 0.2;
+// Threads with fewer comments are too small for the share of missing comments to mean anything
+const MIN_MISMATCH_COMMENTS = 10;
 /**
  * Get downvote count from comment element
  * @param commentTextDiv - HTML element containing comment
@@ -31,22 +46,42 @@ export function getDownvoteCount(commentTextDiv) {
     return downvoteMap[downvoteClass] || 0;
 }
 /**
- * Extract comments from HTML
- * @param postHtml - HTML content
- * @returns Map of comments
+ * Extract comments from the HTML of one page of a post
+ * Each comment row is parsed on its own, so that huge threads are never held as a whole DOM in memory.
+ * @param postHtml - HTML content of the page
+ * @param positionOffset - Number of comment rows in the previous pages, so that positions continue across pages
+ * @param renderOptions - How to render the comment text
+ * @param renderOptions.mode - compact (default) for plain text without links and code, or markdown
+ * @param renderOptions.linkStyle - inline or footnotes, for the markdown mode
+ * @param renderOptions.links - Link registry numbering the footnotes across pages
+ * @returns Map of comments, number of comment rows in the page, IDs of the flagged comments, number of rows skipped
+ * for having no text (e.g. deleted comments) and URL of the next page (null if last page)
  */
-export async function getCommentsFromDOM(postHtml) {
+export function getCommentPageFromDOM(postHtml, positionOffset = 0, renderOptions = {}) {
     // Comments in the DOM are arranged according to their up votes
     const commentsInDOM = new Map();
-    const rootElement = parse(postHtml);
-    const commentRows = rootElement.querySelectorAll('.comtr');
-    let skippedComments = 0;
-    commentRows.forEach((commentRow, index) => {
+    const flaggedIds = new Set();
+    let skippedCount = 0;
+    // Each row runs until the next one, the last one until the end of the page, with the "More" link
+    const rowStarts = [...postHtml.matchAll(COMMENT_ROW_PATTERN)].map(match => match.index);
+    let lastElement = rowStarts.length === 0 ? parse(postHtml) : null;
+    rowStarts.forEach((rowStart, index) => {
+        const rowElement = parse(postHtml.slice(rowStart, rowStarts[index + 1]));
+        if (index === rowStarts.length - 1) {
+            lastElement = rowElement;
+        }
+        const commentRow = rowElement.querySelector('.comtr');
+        const commentId = commentRow?.getAttribute('id');
         // If comment is flagged, it will have the class "coll" (collapsed) or "noshow" (children of collapsed comments)
-        const commentFlagged = commentRow.classList.contains('coll') || commentRow.classList.contains('noshow');
-        const commentTextDiv = commentRow.querySelector('.commtext');
-        if (commentFlagged || !commentTextDiv) {
-            skippedComments++;
+        if (commentRow?.classList.contains('coll') || commentRow?.classList.contains('noshow')) {
+            if (commentId) {
+                flaggedIds.add(Number(commentId));
+            }
+            return;
+        }
+        const commentTextDiv = commentRow?.querySelector('.commtext');
+        if (!commentTextDiv) {
+            skippedCount++;
             return;
         }
         // Sanitize the comment text
@@ -65,150 +100,330 @@ export async function getCommentsFromDOM(postHtml) {
                 .replace(/\n+/g, ' ');
             return sanitizedText;
         }
-        const commentText = sanitizeCommentText();
+        const commentText = renderOptions.mode === 'markdown'
+            ? renderCommentMarkdown(commentTextDiv, renderOptions)
+            : sanitizeCommentText();
         // Get the down votes of the comment
         const downvotes = getDownvoteCount(commentTextDiv);
-        const commentId = commentRow.getAttribute('id');
         if (commentId) {
             // Add the position, text and downvotes of the comment to the map
             commentsInDOM.set(Number(commentId), {
-                position: index,
+                position: positionOffset + index,
                 text: commentText,
                 downvotes: downvotes,
             });
         }
     });
-    // console.log(`Comments from DOM:: Total: ${commentRows.length}. Skipped (flagged): ${skippedComments}. Remaining: ${commentsInDOM.size}`);
-    return commentsInDOM;
+    // Large threads are split across pages, linked with a "More" link at the bottom
+    const moreLink = lastElement.querySelector('a.morelink');
+    const nextPageUrl = moreLink?.getAttribute('href')
+        ? new URL(moreLink.getAttribute('href'), 'https://news.ycombinator.com/').toString()
+        : null;
+    return {
+        commentsInDOM,
+        rowCount: rowStarts.length,
+        flaggedIds,
+        skippedCount,
+        nextPageUrl
+    };
+}
+/**
+ * Extract comments from HTML
+ * @param postHtml - HTML content
+ * @returns Map of comments
+ */
+export async function getCommentsFromDOM(postHtml) {
+    return getCommentPageFromDOM(postHtml).commentsInDOM;
 }
 /**
  * Extract comments from the post and structure them
- * @param commentsTree - Comments tree from API
+ * The tree is flattened in a single pass, and the paths are built from indexes of the parent paths and sibling counts.
+ * @param commentsTree - Comments tree from API, rooted at the story or at a comment for a subthread
  * @param commentsInDOM - Comments map from DOM
- * @returns Map of structured comments
+ * @param scoring - Scoring strategy and blend weights, see scoreComments
+ * @param flaggedIds - IDs of the comments flagged on the HN page, which are expected to be missing from commentsInDOM
+ * @returns Structured comments, and the diagnostics of the tree: its comment counts (see getTreeDiagnostics)
+ * and how many comments are missing from the page or from the tree
  */
-export function extractComments(commentsTree, commentsInDOM) {
+export function extractComments(commentsTree, commentsInDOM, scoring = {}, flaggedIds = new Set()) {
     // Merge the comments from the post hierarchy and DOM
     const flatComments = [];
-    let apiComments = 0;
-    let skippedComments = 0;
-    function flattenCommentTree(comment, parentId) {
-        // Track the number of comments as we traverse the tree
-        apiComments++;
-        // If this is the story item (root of the tree), flatten its children, but do not add the story item to the map
-        if (comment.type === 'story') {
-            if (comment.children && comment.children.length > 0) {
-                comment.children.forEach(child => {
-                    flattenCommentTree(child, comment.id);
-                });
-            }
-            return;
-        }
+    const counts = { total: 0, deleted: 0, flagged: 0, skipped: 0, kept: 0 };
+    // Comments of the tree that the page does not show at all, nor as flagged
+    let missingFromPage = 0;
+    let foundInPage = 0;
+    function flattenCommentTree(comment, parentId, parentKept) {
+        counts.total++;
         // Get the DOM comment corresponding to this comment
         const commentInDOM = commentsInDOM.get(Number(comment.id));
-        if (!commentInDOM) {
-            // This comment is not found in the DOM comments because it was flagged or collapsed
-            skippedComments++;
-            return;
+        if (commentInDOM) {
+            foundInPage++;
         }
-        // Add comment to array along with its metadata
-        flatComments.push({
-            id: comment.id,
-            path: '', // Will be calculated later
-            author: comment.author,
-            text: commentInDOM.text,
-            score: 0, // Will be calculated later
-            replies: comment.children?.length || 0,
-            downvotes: commentInDOM.downvotes,
-            parentId: parentId,
-            position: commentInDOM.position
-        });
-        // Process children of the current comment
-        if (comment.children && comment.children.length > 0) {
-            comment.children.forEach(child => {
-                flattenCommentTree(child, comment.id);
+        else if (!comment.author) {
+            counts.deleted++;
+        }
+        else if (flaggedIds.has(Number(comment.id))) {
+            counts.flagged++;
+        }
+        else {
+            missingFromPage++;
+        }
+        // The replies of a comment missing from the page are only counted, they have no parent to hang from
+        const kept = Boolean(commentInDOM) && parentKept;
+        if (kept) {
+            // Add comment to array along with its metadata
+            flatComments.push({
+                id: comment.id,
+                path: '', // Will be calculated later
+                author: comment.author,
+                text: commentInDOM.text,
+                score: 0, // Will be calculated later
+                replies: comment.children?.length || 0,
+                downvotes: commentInDOM.downvotes,
+                parentId: parentId,
+                position: commentInDOM.position,
+                createdAt: comment.created_at,
+                age: comment.created_at_i ? formatAge(comment.created_at_i) : null
             });
         }
+        else {
+            counts.skipped++;
+        }
+        comment.children?.forEach(child => flattenCommentTree(child, comment.id, kept));
     }
-    // Flatten the comment tree and collect comments as an array
-    flattenCommentTree(commentsTree, null);
-    // console.log(`Comments from API:: Total: ${apiComments - 1}. Skipped: ${skippedComments}. Remaining: ${flatComments.length}`);
+    // Flatten the comment tree, without the root of the tree (the story, or the comment of a subthread)
+    commentsTree.children?.forEach(child => flattenCommentTree(child, commentsTree.id, true));
+    counts.kept = flatComments.length;
     // Sort comments by position
     flatComments.sort((a, b) => a.position - b.position);
-    // Calculate paths (1.1, 2.3 etc.) using the parentId and the sequence of comments
+    // Calculate paths (1.1, 2.3 etc.) using the parentId and the sequence of comments:
+    // parents come before their replies on the page, so their path is known when their replies are reached
+    const pathsById = new Map();
+    const replyCounts = new Map();
     let topLevelCounter = 1;
-    function calculatePath(comment) {
-        let path;
+    flatComments.forEach(comment => {
         if (comment.parentId === commentsTree.id) {
             // Top level comment
-            path = String(topLevelCounter++);
+            comment.path = String(topLevelCounter++);
         }
         else {
-            // Child comment at any level
-            const parentComment = flatComments.find(c => c.id === comment.parentId);
-            if (!parentComment) {
+            // Child comment at any level: the parent's path + the position in the parent's children list
+            const parentPath = pathsById.get(comment.parentId);
+            if (parentPath === undefined) {
                 throw new Error(`Parent comment not found for comment ${comment.id}`);
             }
-            const parentPath = parentComment.path;
-            // Get all the children of this comment's parents - this is the list of siblings
-            const siblings = flatComments
-                .filter(c => c.parentId === comment.parentId);
-            // Find the position of this comment in the siblings list
-            const positionInParent = siblings
-                .findIndex(c => c.id === comment.id) + 1;
-            // Set the path as the parent's path + the position in the parent's children list
-            path = `${parentPath}.${positionInParent}`;
+            const positionInParent = (replyCounts.get(comment.parentId) ?? 0) + 1;
+            replyCounts.set(comment.parentId, positionInParent);
+            comment.path = `${parentPath}.${positionInParent}`;
         }
-        return path;
-    }
-    // Calculate the score for each comment based on its position and downvotes
-    function calculateScore(comment, totalCommentCount) {
-        const downvotes = comment.downvotes || 0;
-        const MAX_SCORE = 1000;
-        const MAX_DOWNVOTES = 10;
-        const defaultScore = Math.floor(MAX_SCORE - (comment.position * MAX_SCORE / totalCommentCount));
-        const penaltyPerDownvote = defaultScore / MAX_DOWNVOTES;
-        const penalty = penaltyPerDownvote * downvotes;
-        return Math.floor(Math.max(defaultScore - penalty, 0));
-    }
-    // Calculate paths and scores for all comments
-    flatComments.forEach(comment => {
-        comment.path = calculatePath(comment);
-        comment.score = calculateScore(comment, flatComments.length);
+        pathsById.set(comment.id, comment.path);
     });
-    return flatComments;
+    // The page of a subthread also shows its root comment, which is not part of the comments
+    const pageCommentCount = commentsInDOM.size - (commentsInDOM.has(Number(commentsTree.id)) ? 1 : 0);
+    const diagnostics = getTreeDiagnostics(counts, missingFromPage, pageCommentCount - foundInPage);
+    // Calculate the score for each comment with the scoring strategy, by default based on its position and downvotes
+    return {
+        comments: scoreComments(flatComments, { ...scoring, postCreatedAt: commentsTree.created_at }),
+        diagnostics
+    };
 }
 /**
- * Download post comments from Hacker News
+ * Get the diagnostics of a comment tree merged with its page, warning when too many comments of the tree are missing from the page,
+ * which is a sign that HN changed its markup and the comments are no longer found in it
+ * @param api - Comment counts of the tree: total, deleted, flagged (on the page), skipped (missing from the page, or replies of a skipped comment) and kept
+ * @param missingFromPage - Number of comments of the tree that are neither shown nor flagged on the page
+ * @param missingFromTree - Number of comments shown on the page that are missing from the tree, e.g. when Algolia lags behind
+ * @returns Diagnostics with the counts, the mismatch share and threshold, and a warning past the threshold
+ */
+function getTreeDiagnostics(api, missingFromPage, missingFromTree) {
+    const expectedCount = api.total - api.deleted;
+    const mismatchShare = expectedCount > 0 ? missingFromPage / expectedCount : 0;
+    const diagnostics = {
+        api,
+        missingFromPage,
+        missingFromTree,
+        mismatchShare: Math.round(mismatchShare * 1000) / 1000,
+        mismatchThreshold: MISMATCH_THRESHOLD
+    };
+    if (expectedCount >= MIN_MISMATCH_COMMENTS && mismatchShare > MISMATCH_THRESHOLD) {
+        diagnostics.warning = `${missingFromPage} of the ${expectedCount} comments of the tree were not found on the HN page, the HN markup may have changed`;
+    }
+    return diagnostics;
+}
+/**
+ * Download the HTML pages of a post and get the comments from the DOM, following the "More" links of large threads
  * @param postId - Post ID to download
- * @returns Post and comments data
+ * @param options - Download options
+ * @param options.noCache - Bypass the cache
+ * @param options.render - How to render the comment text, see getCommentPageFromDOM
+ * @param options.signal - Signal cancelling the download
+ * @returns Map of comments across all pages, the IDs of the flagged comments, the number of pages read, the footnote links
+ * and the diagnostics of the pages: their number of comment rows, flagged rows, rows skipped for having no text and kept comments,
+ * and whether the pages were truncated at MAX_COMMENT_PAGES with more pages left
  */
-export async function downloadPostComments(postId) {
-    // Fetch post data from HN API
-    const postResponse = await fetch(`https://hn.algolia.com/api/v1/items/${postId}`);
-
-    if (!postResponse.ok) {
-        throw new Error(`Failed to fetch post: ${postResponse.statusText}`);
+export async function downloadCommentPages(postId, { noCache = false, render = {}, signal } = {}) {
+    const commentsInDOM = new Map();
+    const flaggedIds = new Set();
+    const diagnostics = { rows: 0, flagged: 0, skipped: 0, kept: 0 };
+    // Footnotes are numbered once per URL across the whole thread
+    const renderOptions = render.linkStyle === 'footnotes'
+        ? { ...render, links: createLinkRegistry() }
+        : render;
+    let pageUrl = `https://news.ycombinator.com/item?id=${postId}`;
+    let positionOffset = 0;
+    let pageCount = 0;
+    while (pageUrl && pageCount < MAX_COMMENT_PAGES) {
+        const postHtml = await fetchCached({
+            source: 'hn-html',
+            // The first page is keyed by the post ID, the next ones by <id>-p<page>
+            key: pageCount === 0 ? postId : `${postId}-p${pageCount + 1}`,
+            url: pageUrl,
+            format: 'text',
+            description: `post HTML (page ${pageCount + 1})`,
+            noCache,
+            signal
+        });
+        pageCount++;
+        const page = getCommentPageFromDOM(postHtml, positionOffset, renderOptions);
+        page.commentsInDOM.forEach((comment, commentId) => {
+            if (!commentsInDOM.has(commentId)) {
+                commentsInDOM.set(commentId, comment);
+            }
+        });
+        page.flaggedIds.forEach(commentId => flaggedIds.add(commentId));
+        diagnostics.rows += page.rowCount;
+        diagnostics.flagged += page.flaggedIds.size;
+        diagnostics.skipped += page.skippedCount;
+        positionOffset += page.rowCount;
+        // Only follow the next page of the same post
+        const nextPageUrl = page.nextPageUrl ? new URL(page.nextPageUrl) : null;
+        pageUrl = nextPageUrl?.searchParams.get('id') === String(postId) ? nextPageUrl.toString() : null;
     }
-    const postData = await postResponse.json();
-
-    // Fetch post HTML to get comment structure
-    const postHtmlResponse = await fetch(`https://news.ycombinator.com/item?id=${postId}`);
-    if (!postHtmlResponse.ok) {
-        throw new Error(`Failed to fetch post HTML: ${postHtmlResponse.statusText}`);
+    diagnostics.kept = commentsInDOM.size;
+    // A next page left after the last one read means the cap was reached
+    diagnostics.truncated = pageUrl !== null;
+    return { commentsInDOM, flaggedIds, pageCount, links: renderOptions.links?.links ?? [], diagnostics: { pages: pageCount, ...diagnostics } };
+}
+/**
+ * Download the context of a subthread: the story it belongs to and the chain of comments from the story down to the subthread root
+ * @param commentData - Subthread root comment from the Algolia API
+ * @param options - Download options
+ * @param options.noCache - Bypass the cache
+ * @param options.signal - Signal cancelling the download
+ * @returns Subthread context with the root comment, its ancestors (top-level first) and its story
+ */
+export async function downloadSubthreadContext(commentData, { noCache = false, signal } = {}) {
+    const ancestors = [];
+    let story = null;
+    // The official API returns single items, unlike Algolia which returns whole subtrees
+    let parentId = commentData.parent_id;
+    while (parentId && ancestors.length < MAX_ANCESTORS) {
+        const item = await fetchHNItem(parentId, { noCache, signal });
+        if (!item) {
+            break;
+        }
+        if (item.type !== 'comment') {
+            story = item;
+            break;
+        }
+        ancestors.unshift({
+            id: item.id,
+            author: item.by,
+            text: htmlToText(item.text),
+            createdAt: new Date(item.time * 1000).toISOString()
+        });
+        parentId = item.parent;
     }
-    const postHtml = await postHtmlResponse.text();
+    return {
+        rootComment: {
+            id: commentData.id,
+            author: commentData.author,
+            text: htmlToText(commentData.text),
+            createdAt: commentData.created_at
+        },
+        ancestors,
+        storyId: story?.id ?? commentData.story_id,
+        storyTitle: story?.title ?? null,
+        storyUrl: story?.url ?? null
+    };
+}
+/**
+ * Get the details of a post from the Algolia API item: the article it links to, its submitter, points, time and text
+ * @param postData - Post item from the Algolia API
+ * @returns Post details. The text is the self-text of Ask HN and similar posts, as plain text, and empty for links.
+ */
+export function getPostDetails(postData) {
+    return {
+        url: postData.url ?? null,
+        domain: postData.url ? getDomain(postData.url) : null,
+        author: postData.author ?? null,
+        points: postData.points ?? null,
+        createdAt: postData.created_at ?? null,
+        age: postData.created_at_i ? formatAge(postData.created_at_i) : null,
+        text: htmlToText(postData.text)
+    };
+}
+/**
+ * Download post comments from Hacker News
+ * When the ID is a comment, only its subthread is downloaded, with paths relative to that comment and its context in `post.subthread`.
+ * @param postId - Post ID to download
+ * @param options - Download options
+ * @param options.noCache - Bypass the cache
+ * @param options.render - How to render the comment text: { mode: compact|markdown, linkStyle: inline|footnotes }
+ * @param options.scoring - How to score the comments: { strategy: one of SCORING_STRATEGIES, weights: blend weights }
+ * @param options.source - Data source of the comment tree, one of DATA_SOURCES, see downloadCommentTree
+ * @param options.signal - Signal cancelling the download, e.g. the signal of an MCP request
+ * @returns Post data with its details (see getPostDetails), comments with their time and age, the number of HTML pages read,
+ * the footnote links (if any), the data source details (see downloadCommentTree) and the parser diagnostics:
+ * the counts of the HN pages (dom, see downloadCommentPages) and of the tree (api, see extractComments), with a warning
+ * when the pages were truncated at MAX_COMMENT_PAGES or the tree and the pages disagree past MISMATCH_THRESHOLD
+ */
+export async function downloadPostComments(postId, { noCache = false, render = {}, scoring = {}, source, signal } = {}) {
+    // Fetch post HTML pages to get comment structure and get comments from DOM
+    const { commentsInDOM, flaggedIds, pageCount, links, diagnostics: domDiagnostics } = await downloadCommentPages(postId, { noCache, render, signal });
 
-    // Get comments from DOM
-    const commentsInDOM = await getCommentsFromDOM(postHtml);
+    // Fetch the comment tree, the comments shown on the page tell whether Algolia is stale
+    const { tree: postData, dataSource } = await downloadCommentTree(postId, {
+        source,
+        // The page of a subthread also shows its root comment, which is not part of its tree
+        pageCommentIds: [...commentsInDOM.keys()].filter(commentId => commentId !== Number(postId)),
+        noCache,
+        signal
+    });
 
     // Convert HNPostData to CommentTree and extract comments
-    const postComments = extractComments(postData, commentsInDOM);
+    const { comments: postComments, diagnostics: treeDiagnostics } = extractComments(postData, commentsInDOM, scoring, flaggedIds);
+    const post = {
+        id: postId,
+        title: postData.title,
+        ...getPostDetails(postData)
+    };
+    // A comment ID is summarized as a subthread, in the context of its story
+    if (postData.type === 'comment') {
+        post.subthread = await downloadSubthreadContext(postData, { noCache, signal });
+        // The details of the comment are in the root comment of the subthread, only the article is kept
+        Object.assign(post, {
+            title: post.subthread.storyTitle,
+            url: post.subthread.storyUrl,
+            domain: post.subthread.storyUrl ? getDomain(post.subthread.storyUrl) : null,
+            author: null,
+            points: null,
+            createdAt: null,
+            age: null,
+            text: ''
+        });
+    }
+    const diagnostics = { dom: domDiagnostics, ...treeDiagnostics };
+    // The comments of the pages past the cap are missing, which also shows as a mismatch of the tree and the pages
+    if (domDiagnostics.truncated) {
+        diagnostics.warning = `Only the first ${MAX_COMMENT_PAGES} HN pages of the thread were read, the comments of the next pages are left out`;
+    }
     return {
-        post: {
-            id: postId,
-            title: postData.title
-        },
-        postComments
+        post,
+        postComments,
+        pageCount,
+        links,
+        dataSource,
+        diagnostics
     };
 }
\ No newline at end of file
@@ -0,0 +1,98 @@
+/**
+ * Functions for listing stories from the Hacker News feeds
+ */
+import { formatAge, getDomain } from './utils.js';
+import { fetchCached } from './cache.js';
+/**
+ * Story feeds of the official HN API, e.g. https://hacker-news.firebaseio.com/v0/topstories.json
+ */
+export const STORY_FEEDS = ['top', 'new', 'best', 'ask', 'show', 'job'];
+// Number of story items fetched in parallel
+const ITEM_BATCH_SIZE = 10;
+/**
+ * Fetch an item from the official HN API
+ * @param itemId - Item ID
+ * @param options - Fetch options
+ * @param options.noCache - Bypass the cache
+ * @param options.signal - Signal cancelling the request
+ * @returns HN API item, or null if it does not exist
+ */
+export async function fetchHNItem(itemId, { noCache = false, signal } = {}) {
+    return fetchCached({
+        source: 'hn-api-item',
+        key: itemId,
+        url: `https://hacker-news.firebaseio.com/v0/item/${itemId}.json`,
+        description: `item ${itemId}`,
+        noCache,
+        signal
+    });
+}
+/**
+ * Convert an item from the official HN API into a story entry
+ * @param item - HN API item
+ * @returns Story entry
+ */
+function toStory(item) {
+    return {
+        id: String(item.id),
+        title: item.title,
+        url: item.url || null,
+        domain: item.url ? getDomain(item.url) : null,
+        points: item.score || 0,
+        author: item.by,
+        commentCount: item.descendants || 0,
+        createdAt: new Date(item.time * 1000).toISOString(),
+        age: formatAge(item.time),
+        type: item.type,
+        // Can be passed as the post_url of get_hn_post_formatted_comments
+        postUrl: `https://news.ycombinator.com/item?id=${item.id}`
+    };
+}
+/**
+ * Download the stories of a feed, in the feed order
+ * @param feed - One of STORY_FEEDS
+ * @param options - Listing options
+ * @param options.limit - Maximum number of stories to return
+ * @param options.minPoints - Only return stories with at least this many points
+ * @param options.minComments - Only return stories with at least this many comments
+ * @param options.signal - Signal cancelling the download
+ * @returns Array of stories
+ */
+export async function downloadStories(feed, { limit = 30, minPoints = 0, minComments = 0, signal } = {}) {
+    if (!STORY_FEEDS.includes(feed)) {
+        throw new Error(`Unknown feed "${feed}". Use one of: ${STORY_FEEDS.join(', ')}`);
+    }
+    const storyIds = await fetchCached({
+        source: 'hn-api-feed',
+        key: feed,
+        url: `https://hacker-news.firebaseio.com/v0/${feed}stories.json`,
+        description: `${feed} stories`,
+        signal
+    });
+    const stories = [];
+    // Fetch the items in batches until there are enough stories passing the filters
+    for (let i = 0; i < storyIds.length && stories.length < limit; i += ITEM_BATCH_SIZE) {
+        const items = await Promise.all(storyIds
+            .slice(i, i + ITEM_BATCH_SIZE)
+            .map(id => fetchHNItem(id, { signal })));
+        items
+            .filter(item => item && !item.deleted && !item.dead)
+            .map(toStory)
+            .filter(story => story.points >= minPoints && story.commentCount >= minComments)
+            .forEach(story => stories.push(story));
+    }
+    return stories.slice(0, limit);
+}
+/**
+ * Format the stories as one line per story
+ * @param stories - Array of stories
+ * @returns Formatted stories
+ */
+export function formatStories(stories) {
+    let formattedStories = '';
+    stories.forEach((story, index) => {
+        const domain = story.domain ? ` (${story.domain})` : '';
+        formattedStories += `${index + 1}. [${story.id}] ${story.title}${domain} - ${story.points} points by ${story.author}, ${story.commentCount} comments, ${story.age}\n`;
+    });
+    return formattedStories;
+}
@@ -0,0 +1,58 @@
+/**
+ * Functions for formatting the structured comments as text lines
+ */
+/**
+ * Format a comment as a single line, in the format described in the system prompt
+ * @param comment - Structured comment
+ * @param options - Format options
+ * @param options.showTime - Add the time the comment was posted, e.g. (posted: 2025-03-21 14:02, 3 hours ago)
+ * @returns Formatted comment line, without the trailing new line
+ */
+export function formatComment(comment, { showTime = false } = {}) {
+    // Markdown comments span several lines: the continuation lines are indented, so that only comments start with [path]
+    const text = comment.text.replace(/\n(?=.)/g, '\n    ');
+    const time = showTime && comment.createdAt
+        ? ` (posted: ${comment.createdAt.slice(0, 16).replace('T', ' ')}, ${comment.age})`
+        : '';
+    return `[${comment.path}] (score: ${comment.score}) <replies: ${comment.replies}> {downvotes: ${comment.downvotes}}${time} ${comment.author}: ${text}`;
+}
+/**
+ * Format the comments as one line per comment
+ * @param comments - Structured comments
+ * @param links - Footnote links of the thread, the ones referenced by the comments are listed after them
+ * @param options - Format options, see formatComment
+ * @returns Formatted comments
+ */
+export function formatComments(comments, links = [], options = {}) {
+    let formattedComments = '';
+    comments.forEach(comment => {
+        formattedComments += `${formatComment(comment, options)}\n`;
+    });
+    return formattedComments + formatLinkFootnotes(comments, links);
+}
+/**
+ * Format the footnote links referenced by the comments
+ * @param comments - Structured comments
+ * @param links - Footnote links of the thread
+ * @returns Footnotes, one per line, or an empty string if there are none
+ */
+export function formatLinkFootnotes(comments, links) {
+    if (links.length === 0) {
+        return '';
+    }
+    const referenced = new Set();
+    comments.forEach(comment => {
+        for (const match of comment.text.matchAll(/\[\^(\d+)\]/g)) {
+            referenced.add(Number(match[1]));
+        }
+    });
+    const footnotes = links.filter(link => referenced.has(link.number));
+    if (footnotes.length === 0) {
+        return '';
+    }
+    let formattedFootnotes = '\nLinks:\n';
+    footnotes.forEach(link => {
+        formattedFootnotes += `[^${link.number}]: ${link.url}\n`;
+    });
+    return formattedFootnotes;
+}
@@ -1,11 +1,58 @@
 /**
  * Functions for formatting system and user prompts for Claude
  */
+import { formatComments } from './format-comments.js';
+import { applyTokenBudget, estimateTokens } from './token-budget.js';
+import { getScoreDescription } from './scoring.js';
+import { formatArticle } from './article.js';
+import { DEFAULT_TEMPLATE, renderTemplate } from './prompt-templates.js';
+// Description of the markdown comment rendering, added to the discussion structure of the system prompt
+const MARKDOWN_FORMAT_DESCRIPTION = `
+   Comment text is formatted as markdown:
+   - A comment can span several lines: its continuation lines are indented with four spaces, and each new comment starts with its [hierarchy_path]
+   - Links are kept, either inline as [text](url) or as footnotes like [^1], with the URLs listed under "Links:" after the comments
+   - Code is kept as \`inline code\` or fenced code blocks, and long code blocks are cut
+   - Lines starting with > quote the parent comment or the article
+   Cite the links and code that support the key insights, they are often the most valuable content of technical discussions.
+`;
+// Description of the optional time field of the comment lines
+const TIME_FORMAT_DESCRIPTION = `
+   Each comment also has the time it was posted, after the downvotes: (posted: 2025-03-21 14:02, 3 hours ago), in UTC.
+   Use the times to tell how the conversation developed: early reactions, later corrections, and branches that kept going long after the post.
+`;
+// Description of the profiles of the most cited authors, given before the comments
+const AUTHOR_PROFILES_DESCRIPTION = `
+   The profiles of the authors with the highest scoring comments are given before the comments: their karma, how long they have been members, and the start of their "about" text.
+   Use them as a signal when identifying expert explanations, e.g. an author whose profile says they work on the discussed technology. A profile does not make a comment right: judge the content first, and never quote karma in the summary.
+`;
+// Instructions for the linked article, appended to the system prompt when the article is given
+const ARTICLE_INSTRUCTIONS = `
+
+# Article vs. Community Reaction
+[This section is only for discussions given with their linked article, see below.]
+
+Linked article:
+   The readable text of the article the post links to is given before the comments, possibly truncated. Use it to understand what the commenters react to, and contrast the article with the community's reaction:
+   - Where commenters agree with the article, challenge its claims, correct it, or add context and experience it lacks
+   - Which parts of the article drew the most discussion, and which parts were ignored
+   - When the discussion drifts away from the article, say so
+   Do not summarize the article itself beyond a sentence in the Overview: the summary is about the discussion. Never attribute the article's claims to commenters.
+   In the "Article vs. Community Reaction" section, list the main claims of the article with how the community received each of them, supported by quotes with hierarchy_paths and authors.`;
 /**
  * Generate the system prompt for Claude
+ * @param options - Prompt options
+ * @param options.renderMode - Rendering of the comment text, compact (default) or markdown
+ * @param options.showTime - The comment lines include the time they were posted
+ * @param options.scoringStrategy - Scoring strategy of the comments, see SCORING_STRATEGIES
+ * @param options.includeArticle - The text of the linked article is given with the comments
+ * @param options.authorProfiles - The profiles of the most cited authors are given with the comments
+ * @param options.template - Template of the summary style, see getTemplate, defaults to the default style
+ * @param options.postTitle - Post title, for the templates using {{postTitle}}
+ * @param options.commentCount - Number of comments, for the templates using {{commentCount}}
  * @returns System prompt
  */
-export function getSystemPrompt() {
+export function getSystemPrompt({ renderMode = 'compact', showTime = false, scoringStrategy = 'position', includeArticle = false, authorProfiles = false, template = DEFAULT_TEMPLATE, postTitle = '', commentCount = 0 } = {}) {
+    const { downvoteThreshold, language } = template;
     return `
 You are an AI assistant specialized in analyzing and summarizing Hacker News discussions. 
 Your goal is to help users quickly understand the key discussions and insights from Hacker News threads without having to read through lengthy comment sections. 
@@ -24,21 +71,24 @@ Follow these guidelines:
    - score: A normalized value between 1000 and 1, representing the comment's relative importance
      - 1000 represents the highest-value comment in the discussion
      - Other scores are proportionally scaled against this maximum
-     - Higher scores indicate more upvotes from the community and content quality
+     - ${getScoreDescription(scoringStrategy)}
      
    - replies: Number of direct responses to this comment
 
    - downvotes: Number of downvotes the comment received
      - Exclude comments with high downvotes from the summary
-     - DO NOT include comments that are have 4 or more downvotes
+     - DO NOT include comments that are have ${downvoteThreshold} or more downvotes
    
    Example discussion:
    [1] (score: 1000) <replies: 3> {downvotes: 0} user1: Main point as the first reply to the post
    [1.1] (score: 800) <replies: 1> {downvotes: 0} user2: Supporting argument or counter point in response to [1]
-   [1.1.1] (score: 150) <replies: 0> {downvotes: 6} user3: Additional detail as response to [1.1], but should be excluded due to more than 4 downvotes
+   [1.1.1] (score: 150) <replies: 0> {downvotes: ${downvoteThreshold + 2}} user3: Additional detail as response to [1.1], but should be excluded due to more than ${downvoteThreshold} downvotes
    [2] (score: 400) <replies: 1> {downvotes: 0} user4: Comment with a theme different from [1]
    [2.1] (score: 250) <replies: 0> {downvotes: 1} user2: Counter point to [2], by previous user2, but should have lower priority due to low score and 1 downvote
    [3] (score: 200) <replies: 0> {downvotes: 0} user5: Another top-level comment with a different perspective
+${showTime ? TIME_FORMAT_DESCRIPTION : ''}${renderMode === 'markdown' ? MARKDOWN_FORMAT_DESCRIPTION : ''}${authorProfiles ? AUTHOR_PROFILES_DESCRIPTION : ''}
+   The comments may be preceded by the details of the post: the URL and domain of the article it links to, or its text for Ask HN and other text posts, with its author, points and submission time.
+   Use them to understand what the commenters react to, e.g. whether they discuss an article or answer a question, but summarize the discussion, not the post.
 
 2. Content Prioritization:
    - Focus on high-scoring comments as they represent valuable community insights
@@ -61,54 +111,243 @@ Follow these guidelines:
 
 Based on the above instructions, you should summarize the discussion. Your output should be well-structured, informative, and easily digestible for someone who hasn't read the original thread. 
 
-Your response should be formatted using markdown and should have the following structure. 
+${renderTemplate(template, 'output', { postTitle, commentCount })}${includeArticle ? ARTICLE_INSTRUCTIONS : ''}${language ? `
+
+Write the summary in ${language}. Keep the quotes in the language they were written in, with their hierarchy_paths and authors.` : ''}`;
+}
+/**
+ * Format the details of a post: the article it links to, its submission and its text
+ * @param post - Post data from downloadPostComments
+ * @returns Formatted details, one per line, or an empty string if there are none
+ */
+export function formatPostDetails(post) {
+    const details = [];
+    if (post.url) {
+        details.push(`URL: ${post.url} (${post.domain})`);
+    }
+    if (post.author) {
+        const submitted = post.createdAt ? ` on ${post.createdAt.slice(0, 16).replace('T', ' ')} (${post.age})` : '';
+        details.push(`Submitted by ${post.author}, ${post.points ?? 0} points${submitted}`);
+    }
+    if (post.text) {
+        details.push(`Text: ${post.text}`);
+    }
+    return details.join('\n');
+}
+/**
+ * Generate the user prompt for Claude
+ * @param postTitle - Post title
+ * @param formattedComments - Formatted comments
+ * @param postDetails - Formatted post details from formatPostDetails, optional
+ * @param formattedArticle - Formatted linked article from formatArticle, optional
+ * @param instructions - Opening instructions, rendered from the template of the summary style, defaults to those of the default style
+ * @returns User prompt
+ */
+export function getUserPrompt(postTitle, formattedComments, postDetails = '', formattedArticle = '', instructions = DEFAULT_TEMPLATE.instructions) {
+    return `${instructions}
+The post title, ${postDetails ? 'post details, ' : ''}${formattedArticle ? 'linked article ' : ''}and comments are separated by three dashed lines:
+---
+Post Title:
+${postTitle}
+---${postDetails ? `
+Post Details:
+${postDetails}
+---` : ''}${formattedArticle ? `
+Linked Article:
+${formattedArticle}
+---` : ''}
+Comments:
+${formattedComments}
+---`;
+}
+/**
+ * Format the context of a subthread: the chain of parent comments and the root comment
+ * @param subthread - Subthread context from downloadPostComments
+ * @returns Formatted context
+ */
+export function formatSubthreadContext(subthread) {
+    let formattedContext = '';
+    subthread.ancestors.forEach((ancestor, index) => {
+        formattedContext += `[parent ${index + 1}] ${ancestor.author}: ${ancestor.text}\n`;
+    });
+    formattedContext += `[root] ${subthread.rootComment.author}: ${subthread.rootComment.text}\n`;
+    return formattedContext;
+}
+/**
+ * Generate the user prompt for a subthread, i.e. the replies to a single comment
+ * @param postTitle - Title of the story the subthread belongs to
+ * @param subthread - Subthread context from downloadPostComments
+ * @param formattedComments - Formatted replies, with paths relative to the root comment
+ * @param formattedArticle - Formatted linked article of the story from formatArticle, optional
+ * @returns User prompt
+ */
+export function getSubthreadUserPrompt(postTitle, subthread, formattedComments, formattedArticle = '') {
+    return `Provide a concise and insightful summary of the following branch of a Hacker News discussion, as per the guidelines you've been given.
+The branch starts at a single comment, the root comment. Summarize the root comment and the conversation it started, not the whole discussion of the story.
+The parent comments, from the top-level comment down to the parent of the root comment, are only given as context. Do not summarize or quote them.
+In the replies, the hierarchy_paths are relative to the root comment: [1], [2], etc. are direct replies to the root comment, [1.1] is a reply to [1], and so on.
+The post title, ${formattedArticle ? 'linked article, ' : ''}parent comments, root comment and replies are separated by three dashed lines:
+---
+Post Title:
+${postTitle}
+---${formattedArticle ? `
+Linked Article:
+${formattedArticle}
+---` : ''}
+Parent comments and root comment:
+${formatSubthreadContext(subthread)}---
+Replies:
+${formattedComments}
+---`;
+}
+/**
+ * Generate the user prompt for a post, or for a subthread when the post is a comment
+ * @param post - Post data
+ * @param formattedComments - Formatted comments
+ * @param formattedArticle - Formatted linked article from formatArticle, optional
+ * @param instructions - Opening instructions of the user prompt of a post, see getUserPrompt. Subthreads keep their own, which scope the summary to the branch.
+ * @returns User prompt
+ */
+export function getPostUserPrompt(post, formattedComments, formattedArticle = '', instructions = DEFAULT_TEMPLATE.instructions) {
+    return post.subthread
+        ? getSubthreadUserPrompt(post.title, post.subthread, formattedComments, formattedArticle)
+        : getUserPrompt(post.title, formattedComments, formatPostDetails(post), formattedArticle, instructions);
+}
+/**
+ * Generate the system prompt for several discussions of the same article, submitted at different times
+ * @returns System prompt
+ */
+export function getMultiThreadSystemPrompt() {
+    return `${getSystemPrompt()}
+
+# How Opinions Changed
+[This section is only for several discussions of the same article, see below.]
+
+Several discussions of the same article:
+   The article may have been submitted several times over the years. In that case the discussions are labelled T1, T2, etc., oldest first.
+   Each discussion starts with a header line: === [T2] "Title" - submitted <date> (<age>) by <author>, <points> points, <comment count> comments ===
+   The hierarchy_path of each comment is prefixed with its discussion label, e.g. [T2:1.3] is the comment [1.3] of the discussion T2. Always quote the full prefixed hierarchy_path.
+   - Scores are relative to their own discussion, do not compare scores across discussions
+   - Summarize the themes across all the discussions, noting in which discussions each theme appears
+   - In the "How Opinions Changed" section, compare the discussions over time: which views became more or less common, what the community changed its mind about, and what later discussions knew that earlier ones did not. Support each point with quotes from the different discussions.`;
+}
+/**
+ * Generate the user prompt for several discussions of the same article
+ * @param articleUrl - Article URL
+ * @param formattedThreads - Formatted discussions, each with its header
+ * @param threadCount - Number of discussions
+ * @returns User prompt
+ */
+export function getMultiThreadUserPrompt(articleUrl, formattedThreads, threadCount) {
+    return `Provide a concise and insightful summary of the following ${threadCount} Hacker News discussions of the same article, as per the guidelines you've been given.
+The goal is to help someone quickly grasp the main discussion points and key perspectives across all the submissions, and how the opinions changed between them.
+The article URL and discussions are separated by three dashed lines:
+---
+Article URL:
+${articleUrl}
+---
+Discussions:
+${formattedThreads}
+---`;
+}
+/**
+ * Generate the system prompt for summarizing what changed in a discussion since it was last read
+ * @returns System prompt
+ */
+export function getDiffSystemPrompt() {
+    return `${getSystemPrompt()}
 
-# Overview
-Brief summary of the overall discussion in 2-3 sentences - adjust based on complexity and depth of comments.
+Summarizing what changed:
+   The user already read this discussion earlier and only wants to know what changed since then. Instead of the whole discussion, you are given the new comments along with their ancestors for context.
+   Each comment line starts with a marker, optionally followed by the changes since the user last read the discussion:
+   NEW (moved from [2.3], score 400 -> 650) [1.4] (score: 650) <replies: 0> {downvotes: 0} user1: Comment
 
-# Main Themes & Key Insights
-[Bulleted list of themes, ordered by community engagement (combination of scores and replies). Order themes based on the overall community engagement they generated. Each bullet should be a summary with 2 or 3 sentences, adjusted based on the complexity of the topic.]
+   - NEW: a comment added since the user last read the discussion
+   - CONTEXT: a comment the user already read, included because it is an ancestor of a new comment. Do not summarize it again, only use it to understand what the new comments reply to
+   - moved from [path]: the comment had another hierarchy_path before, because comments are re-ranked as they are voted on
+   - score X -> Y: how the score of the comment changed
 
-# [Theme 1 title - from the first bullet above]
-[Summarize key insights or arguments under this theme in a couple of sentences. Use bullet points.]
-[Identify important quotes and include them here with hierarchy_paths so that we can link back to the comment in the main page. Include direct "quotations" (with author attribution) where appropriate. You MUST quote directly from users with double quotes. You MUST include hierarchy_path as well. Do NOT include comments with 4 or more downvotes. For example: 
-- [1.1.1] (user3) noted, "..."
-- [2.1] (user2) explained that "..."
-- [3] Perspective from (user5) added, "..."
-- etc.
+   Instead of the output structure above, use the following structure:
 
-# [Theme 2 title - from the second bullet in the main themes section]
-[Same structure as above.]
+# What's New
+Brief summary of the new comments in 2-3 sentences.
 
-# [Theme 3 title and 4 title - if the discussion has more themes]
+# New Themes
+[Themes that only appear in the new comments, with quotes, hierarchy_paths and authors as described above. Omit if there are none.]
 
-# Key Perspectives
-[Present contrasting perspectives, noting their community reception. When including key quotes, you MUST include hierarchy_paths and author, so that we can link back to the comment in the main page.]
-[Present these concisely and highlight any significant community reactions (agreement, disagreement, etc.)]
-[Watch for community consensus or disagreements]
+# Developments in Existing Discussions
+[How the new comments continue the existing branches: new arguments, answers to open questions, changes of opinion. Refer to the CONTEXT comment each development replies to.]
 
-# Notable Side Discussions
-[Interesting tangents that added value. When including key quotes, you MUST include hierarchy_paths and author, so that we can link back to the comment in the main page]`;
+# Shifts in Ranking
+[Notable comments that moved up or down significantly, if the changes tell something about how the community reception evolved. Omit if there are none.]`;
 }
 /**
- * Generate the user prompt for Claude
+ * Generate the user prompt for summarizing what changed in a discussion
  * @param postTitle - Post title
- * @param formattedComments - Formatted comments
+ * @param formattedDiff - Formatted new comments with their context
+ * @param since - Time the user last read the discussion (ISO date)
+ * @param newCommentCount - Number of new comments
  * @returns User prompt
  */
-export function getUserPrompt(postTitle, formattedComments) {
-    return `Provide a concise and insightful summary of the following Hacker News discussion, as per the guidelines you've been given.
-The goal is to help someone quickly grasp the main discussion points and key perspectives without reading all comments.
-Please focus on extracting the main themes, significant viewpoints, and high-quality contributions.
+export function getDiffUserPrompt(postTitle, formattedDiff, since, newCommentCount) {
+    return `Summarize what changed in the following Hacker News discussion since ${since}, as per the guidelines you've been given.
+There are ${newCommentCount} new comments. Focus on what someone who already read the discussion at that time needs to know.
 The post title and comments are separated by three dashed lines:
 ---
 Post Title:
 ${postTitle}
 ---
-Comments:
+New comments with context:
+${formattedDiff}
+---`;
+}
+/**
+ * Generate the user prompt for one chunk of a discussion that was split to fit the token budget
+ * @param postTitle - Post title
+ * @param formattedComments - Formatted comments of the chunk
+ * @param chunkIndex - Index of the chunk, starting at 1
+ * @param chunkCount - Total number of chunks
+ * @param contextCount - Number of comments the chunk starts with that are repeated from the previous chunk for context, see applyTokenBudget
+ * @returns User prompt
+ */
+export function getChunkUserPrompt(postTitle, formattedComments, chunkIndex, chunkCount, contextCount = 0) {
+    return `The following Hacker News discussion is too large to summarize at once, so it was split into ${chunkCount} parts.
+This is part ${chunkIndex} of ${chunkCount}. Each part contains complete top-level threads, in the original order, except when a single thread was too large and had to be split.
+${contextCount > 0 ? `This part continues a thread that was split: its first ${contextCount} comments are the parent comments of the next ones, repeated from the previous part for context only. Do not summarize or quote them again.
+` : ''}Provide a partial summary of this part only, as per the guidelines you've been given. The partial summaries will be merged afterwards, so:
+- Keep the hierarchy_paths and authors of all the quotes, exactly as they appear in the comments
+- Report the relative engagement (scores and replies) of each point, so that the points can be weighed across parts
+The post title and comments are separated by three dashed lines:
+---
+Post Title:
+${postTitle}
+---
+Comments (part ${chunkIndex} of ${chunkCount}):
 ${formattedComments}
 ---`;
 }
+/**
+ * Generate the prompt to merge the partial summaries of a chunked discussion
+ * @param postTitle - Post title
+ * @param chunkCount - Total number of chunks
+ * @param formattedArticle - Formatted linked article from formatArticle, optional
+ * @param instructions - Opening instructions of a post, rendered from the template of the summary style, see getPostUserPrompt, optional
+ * @returns Reduce prompt, where the partial summaries are to be appended
+ */
+export function getReducePrompt(postTitle, chunkCount, formattedArticle = '', instructions = '') {
+    return `The Hacker News discussion "${postTitle}" was split into ${chunkCount} parts, and each part was summarized separately.
+${instructions ? `${instructions}
+` : ''}Merge the ${chunkCount} partial summaries below into a single summary of the whole discussion. The output structure from the guidelines you've been given decides its shape, not the structure of the partial summaries:
+- Merge the points that appear in several parts, and weigh them by their engagement across all parts wherever the output structure orders them
+- Keep the hierarchy_paths and authors of the quotes exactly as they appear in the partial summaries, so that we can link back to the comments
+- Do not add quotes or comments that are not in the partial summaries
+${formattedArticle ? `The article the post links to, to contrast with the community's reaction, is given between three dashed lines:
+---
+${formattedArticle}
+---
+` : ''}The partial summaries follow, each starting with a "## Part N" heading:
+`;
+}
 /**
  * Create a map of comment paths to comment IDs
  * @param comments - Structured comments
@@ -121,26 +360,92 @@ export function createCommentPathIdMapping(comments) {
     });
     return mapping;
 }
+/**
+ * Get the details of a post for the metadata of the formatted data
+ * @param post - Post data from downloadPostComments
+ * @returns Post details, without the comments and subthread
+ */
+export function getPostMetadata(post) {
+    const { url, domain, author, points, createdAt, age, text } = post;
+    return { url, domain, author, points, createdAt, age, text };
+}
 /**
  * Format the comments for Claude
  * @param post - Post data
  * @param comments - Structured comments
- * @returns Formatted data for Claude
+ * @param options - Formatting options
+ * @param options.maxTokens - Optional token budget for the formatted comments
+ * @param options.budgetStrategy - Budget strategy (top_score or chunk), used with maxTokens
+ * @param options.renderMode - Rendering of the comment text (compact or markdown), described in the system prompt
+ * @param options.links - Footnote links of the thread, listed after the comments that reference them
+ * @param options.showTime - Add the time each comment was posted to the comment lines
+ * @param options.scoring - Scoring strategy and blend weights the comments were scored with, named in the output and described in the system prompt
+ * @param options.article - Linked article from fetchArticle, added to the prompts when its text could be fetched
+ * @param options.template - Template of the summary style, see getTemplate, named in the output as `style`
+ * @returns Formatted data for Claude, with the post details in `post`. With the chunk strategy, there is one user prompt per chunk and a reduce prompt instead of a single user prompt.
  */
-export function formatForClaude(post, comments) {
-    let formattedComments = '';
-    comments.forEach(comment => {
-        formattedComments += `[${comment.path}] (score: ${comment.score}) <replies: ${comment.replies}> {downvotes: ${comment.downvotes}} ${comment.author}: ${comment.text}\n`;
+export function formatForClaude(post, comments, options = {}) {
+    const scoring = options.scoring ?? { strategy: 'position' };
+    // An article that could not be fetched is only reported with its note
+    const formattedArticle = options.article?.text ? formatArticle(options.article) : '';
+    const template = options.template ?? DEFAULT_TEMPLATE;
+    const templateContext = { postTitle: post.title, commentCount: comments.length };
+    const instructions = renderTemplate(template, 'instructions', templateContext);
+    const systemPrompt = getSystemPrompt({
+        renderMode: options.renderMode,
+        showTime: options.showTime,
+        scoringStrategy: scoring.strategy,
+        includeArticle: Boolean(formattedArticle),
+        template,
+        ...templateContext
     });
-    const systemPrompt = getSystemPrompt();
-    const userPrompt = getUserPrompt(post.title, formattedComments);
+    const links = options.links ?? [];
+    const formatOptions = { showTime: options.showTime };
     const commentPathIdMapping = createCommentPathIdMapping(comments);
-    return {
+    const formattedData = {
         systemPrompt,
-        userPrompt,
         commentPathIdMapping,
         postTitle: post.title,
         postId: post.id,
-        commentCount: comments.length
+        post: getPostMetadata(post),
+        commentCount: comments.length,
+        scoring,
+        style: template.name
     };
+    if (post.subthread) {
+        formattedData.subthread = post.subthread;
+    }
+    if (options.article) {
+        formattedData.article = options.article;
+    }
+    if (!options.maxTokens) {
+        formattedData.userPrompt = getPostUserPrompt(post, formatComments(comments, links, formatOptions), formattedArticle, instructions);
+        return formattedData;
+    }
+    const { comments: keptComments, chunks, budget } = applyTokenBudget(comments, {
+        maxTokens: options.maxTokens,
+        strategy: options.budgetStrategy,
+        formatOptions,
+        links,
+        // The budget of a chunk covers its whole user prompt, estimated with the longest part numbers and context line
+        chunkPromptTokens: estimateTokens(getChunkUserPrompt(post.title, '', comments.length, comments.length, comments.length))
+    });
+    formattedData.budget = budget;
+    if (chunks) {
+        formattedData.chunks = chunks.map((chunk, index) => {
+            const contextCount = chunk.filter(comment => comment.context).length;
+            return {
+                firstPath: chunk[contextCount].path,
+                lastPath: chunk[chunk.length - 1].path,
+                commentCount: chunk.length - contextCount,
+                contextPaths: chunk.slice(0, contextCount).map(comment => comment.path),
+                userPrompt: getChunkUserPrompt(post.title, formatComments(chunk, links, formatOptions), index + 1, chunks.length, contextCount)
+            };
+        });
+        formattedData.reducePrompt = getReducePrompt(post.title, chunks.length, formattedArticle, post.subthread ? '' : instructions);
+    }
+    else {
+        formattedData.userPrompt = getPostUserPrompt(post, formatComments(keptComments, links, formatOptions), formattedArticle, instructions);
+    }
+    return formattedData;
 }
\ No newline at end of file
@@ -0,0 +1,340 @@
+/**
+ * Shared HTTP client for Algolia, the HN API, news.ycombinator.com and the linked articles
+ * Requests time out, are retried with jittered exponential backoff on 429, 5xx and network errors,
+ * run at most `concurrency` at a time, and can be cancelled with an AbortSignal.
+ * Failures are reported with typed errors, so that callers can tell a missing item from an unavailable upstream.
+ */
+import fetch from 'node-fetch';
+/**
+ * Client configuration, initialized from the environment variables:
+ * - HN_FETCH_TIMEOUT: timeout of each attempt in milliseconds, defaults to 15000
+ * - HN_FETCH_RETRIES: number of retries after the first attempt, defaults to 3
+ * - HN_FETCH_CONCURRENCY: maximum number of requests in flight, defaults to 4
+ * - HN_USER_AGENT: User-Agent header of the requests
+ */
+const clientConfig = {
+    timeout: Number(process.env.HN_FETCH_TIMEOUT ?? 15_000),
+    retries: Number(process.env.HN_FETCH_RETRIES ?? 3),
+    concurrency: Number(process.env.HN_FETCH_CONCURRENCY ?? 4),
+    userAgent: process.env.HN_USER_AGENT || 'hn-companion-mcp/1.0 (Hacker News discussion summarizer)'
+};
+// Delay before the first retry, doubled on each retry
+const BASE_RETRY_DELAY_MS = 500;
+// Upper bound on the delay between retries, including the Retry-After of rate limited responses
+const MAX_RETRY_DELAY_MS = 30_000;
+/**
+ * Error of a request that failed, with the URL and HTTP status when there is one
+ */
+export class FetchError extends Error {
+    /**
+     * @param message - Error message
+     * @param details - Error details
+     * @param details.url - Requested URL
+     * @param details.status - HTTP status, if a response was received
+     * @param details.cause - Underlying error
+     */
+    constructor(message, { url, status = null, cause } = {}) {
+        super(message, { cause });
+        this.name = 'FetchError';
+        this.url = url;
+        this.status = status;
+    }
+}
+/**
+ * The requested item or page does not exist (404)
+ */
+export class NotFoundError extends FetchError {
+    constructor(message, details) {
+        super(message, details);
+        this.name = 'NotFoundError';
+    }
+}
+/**
+ * The upstream kept rate limiting the requests (429) after all the retries
+ */
+export class RateLimitedError extends FetchError {
+    /**
+     * @param message - Error message
+     * @param details - Error details, see FetchError
+     * @param details.retryAfter - Seconds to wait before retrying, from the Retry-After header, if any
+     */
+    constructor(message, details = {}) {
+        super(message, details);
+        this.name = 'RateLimitedError';
+        this.retryAfter = details.retryAfter ?? null;
+    }
+}
+/**
+ * The upstream is down: server errors (5xx), timeouts or network errors after all the retries
+ */
+export class UpstreamDownError extends FetchError {
+    constructor(message, details) {
+        super(message, details);
+        this.name = 'UpstreamDownError';
+    }
+}
+/**
+ * The response cannot be used, and retrying would not change it: a content type other than the expected one, a body over the size limit
+ * or a JSON body that does not parse
+ */
+export class InvalidResponseError extends FetchError {
+    /**
+     * @param message - Error message
+     * @param details - Error details, see FetchError
+     * @param details.reason - content-type, too-large or parse
+     * @param details.contentType - Content type of the response
+     */
+    constructor(message, details = {}) {
+        super(message, details);
+        this.name = 'InvalidResponseError';
+        this.reason = details.reason;
+        this.contentType = details.contentType ?? null;
+    }
+}
+/**
+ * The request was cancelled by the caller, e.g. when the MCP client cancels the tool call
+ */
+export class RequestCancelledError extends FetchError {
+    constructor(message, details) {
+        super(message, details);
+        this.name = 'RequestCancelledError';
+    }
+}
+/**
+ * Override the client configuration, e.g. from command line options
+ * @param overrides - Configuration values to override
+ */
+export function configureHttpClient(overrides) {
+    Object.entries(overrides).forEach(([key, value]) => {
+        if (value !== undefined) {
+            clientConfig[key] = value;
+        }
+    });
+}
+/**
+ * Get the current client configuration
+ * @returns Client configuration
+ */
+export function getHttpClientConfig() {
+    return { ...clientConfig };
+}
+// Number of requests in flight, and the requests waiting for a free slot
+let activeRequests = 0;
+const waitingRequests = [];
+/**
+ * Wait for a free request slot
+ * @param signal - Optional signal cancelling the wait
+ */
+async function acquireSlot(signal) {
+    if (activeRequests < Math.max(1, clientConfig.concurrency)) {
+        activeRequests++;
+        return;
+    }
+    await new Promise((resolve, reject) => {
+        const waiter = () => {
+            signal?.removeEventListener('abort', onAbort);
+            resolve();
+        };
+        const onAbort = () => {
+            waitingRequests.splice(waitingRequests.indexOf(waiter), 1);
+            reject(signal.reason);
+        };
+        signal?.addEventListener('abort', onAbort, { once: true });
+        waitingRequests.push(waiter);
+    });
+}
+/**
+ * Free a request slot, handing it over to the next waiting request if any
+ */
+function releaseSlot() {
+    const next = waitingRequests.shift();
+    if (next) {
+        // The slot goes straight to the waiting request, so activeRequests is unchanged
+        next();
+    }
+    else {
+        activeRequests--;
+    }
+}
+/**
+ * Wait before retrying
+ * @param ms - Delay in milliseconds
+ * @param signal - Optional signal cancelling the wait
+ */
+function sleep(ms, signal) {
+    return new Promise((resolve, reject) => {
+        const timeoutId = setTimeout(() => {
+            signal?.removeEventListener('abort', onAbort);
+            resolve();
+        }, ms);
+        const onAbort = () => {
+            clearTimeout(timeoutId);
+            reject(signal.reason);
+        };
+        signal?.addEventListener('abort', onAbort, { once: true });
+    });
+}
+/**
+ * Get the delay before a retry: exponential backoff randomized between 0.5x and 1.5x, or the Retry-After of the response
+ * @param attempt - Index of the failed attempt, starting at 0
+ * @param retryAfter - Retry-After header of the response, in seconds, if any
+ * @returns Delay in milliseconds
+ */
+function getRetryDelay(attempt, retryAfter) {
+    const retryAfterSeconds = Number(retryAfter);
+    if (retryAfter && Number.isFinite(retryAfterSeconds)) {
+        return Math.min(retryAfterSeconds * 1000, MAX_RETRY_DELAY_MS);
+    }
+    const backoff = BASE_RETRY_DELAY_MS * 2 ** attempt;
+    return Math.min(backoff / 2 + Math.random() * backoff, MAX_RETRY_DELAY_MS);
+}
+/**
+ * Read a response body, up to a number of bytes
+ * @param response - Response
+ * @param maxBytes - Maximum body size in bytes
+ * @returns Body as text, or null when it is larger than maxBytes, in which case the download is stopped
+ */
+async function readBody(response, maxBytes) {
+    if (!response.body) {
+        return '';
+    }
+    const chunks = [];
+    let byteCount = 0;
+    for await (const chunk of response.body) {
+        byteCount += chunk.length;
+        if (byteCount > maxBytes) {
+            response.body.destroy();
+            return null;
+        }
+        chunks.push(chunk);
+    }
+    return Buffer.concat(chunks).toString('utf8');
+}
+/**
+ * Fetch a URL once, within the timeout
+ * @param url - URL to fetch
+ * @param options - Request options, see httpFetch
+ * @returns Response with its status, headers and body, the reason it cannot be used, or the error of the attempt
+ */
+async function fetchOnce(url, { headers, signal, timeout, format, acceptStatuses, contentTypePattern, maxBytes }) {
+    await acquireSlot(signal).catch(error => {
+        throw new RequestCancelledError(`Request cancelled: ${url}`, { url, cause: error });
+    });
+    // The timeout starts once the request has a slot, waiting for a slot is not the upstream's fault
+    const timeoutSignal = AbortSignal.timeout(timeout);
+    const attemptSignal = signal ? AbortSignal.any([signal, timeoutSignal]) : timeoutSignal;
+    try {
+        const response = await fetch(url, {
+            headers: { 'User-Agent': clientConfig.userAgent, ...headers },
+            signal: attemptSignal
+        });
+        const accepted = response.ok || acceptStatuses.includes(response.status);
+        if (!accepted || response.status === 304) {
+            // Drain the unused body, so that the connection can be reused
+            response.body?.resume();
+            return { response, body: null };
+        }
+        // The content type and size are checked from the headers, before downloading a body that would be thrown away
+        const contentType = response.headers.get('content-type') || '';
+        if (contentTypePattern && !contentTypePattern.test(contentType)) {
+            response.body?.destroy();
+            return { response, invalid: { reason: 'content-type', contentType, message: `unexpected content type ${contentType.split(';')[0] || '(none)'}` } };
+        }
+        const tooLarge = { reason: 'too-large', contentType, message: `the response is larger than ${maxBytes} bytes` };
+        if (Number(response.headers.get('content-length')) > maxBytes) {
+            response.body?.destroy();
+            return { response, invalid: tooLarge };
+        }
+        // The body is read within the slot and the timeout, a stalled body is as bad as a stalled connection
+        const text = await readBody(response, maxBytes);
+        if (text === null) {
+            return { response, invalid: tooLarge };
+        }
+        if (format !== 'json') {
+            return { response, body: text };
+        }
+        try {
+            return { response, body: JSON.parse(text) };
+        }
+        catch (error) {
+            return { response, invalid: { reason: 'parse', contentType, message: `the response is not valid JSON (${error.message})` } };
+        }
+    }
+    catch (error) {
+        if (signal?.aborted) {
+            throw new RequestCancelledError(`Request cancelled: ${url}`, { url, cause: error });
+        }
+        if (timeoutSignal.aborted) {
+            return { error: `no response within ${timeout / 1000} seconds` };
+        }
+        return { error: error.message };
+    }
+    finally {
+        releaseSlot();
+    }
+}
+/**
+ * Fetch a URL with a timeout, retries and the shared concurrency limit
+ * @param url - URL to fetch
+ * @param options - Request options
+ * @param options.headers - Additional request headers
+ * @param options.signal - Signal cancelling the request, e.g. the signal of an MCP request
+ * @param options.format - json or text
+ * @param options.description - Description of the resource for error messages, e.g. post HTML
+ * @param options.acceptStatuses - Non-2xx statuses returned instead of thrown, e.g. 304 for conditional requests
+ * @param options.timeout - Timeout of each attempt in milliseconds, defaults to the configured timeout
+ * @param options.retries - Number of retries, defaults to the configured retries
+ * @param options.contentTypePattern - Pattern the Content-Type of a successful response must match, checked before reading the body
+ * @param options.maxBytes - Maximum size of the body in bytes, the download is stopped past it
+ * @returns Status, headers and body (parsed when JSON, null for 304 and other accepted statuses)
+ */
+export async function httpFetch(url, {
+    headers = {},
+    signal,
+    format = 'json',
+    description = url,
+    acceptStatuses = [],
+    timeout = clientConfig.timeout,
+    retries = clientConfig.retries,
+    contentTypePattern = null,
+    maxBytes = Infinity
+} = {}) {
+    for (let attempt = 0;; attempt++) {
+        if (signal?.aborted) {
+            throw new RequestCancelledError(`Request cancelled: ${url}`, { url });
+        }
+        const { response, body, invalid, error } = await fetchOnce(url, { headers, signal, timeout, format, acceptStatuses, contentTypePattern, maxBytes });
+        if (invalid) {
+            throw new InvalidResponseError(`Failed to fetch ${description}: ${invalid.message}`, {
+                url,
+                status: response.status,
+                reason: invalid.reason,
+                contentType: invalid.contentType
+            });
+        }
+        if (response && (response.ok || acceptStatuses.includes(response.status))) {
+            return { status: response.status, headers: response.headers, body };
+        }
+        const status = response?.status ?? null;
+        const retryable = !response || status === 429 || status >= 500;
+        if (retryable && attempt < retries) {
+            await sleep(getRetryDelay(attempt, response?.headers.get('retry-after')), signal)
+                .catch(() => {
+                    throw new RequestCancelledError(`Request cancelled: ${url}`, { url });
+                });
+            continue;
+        }
+        if (status === 404) {
+            throw new NotFoundError(`Failed to fetch ${description}: not found`, { url, status });
+        }
+        if (status === 429) {
+            const retryAfter = Number(response.headers.get('retry-after')) || null;
+            throw new RateLimitedError(`Failed to fetch ${description}: rate limited after ${attempt + 1} attempts`, { url, status, retryAfter });
+        }
+        if (retryable) {
+            const reason = status ? `${status} ${response.statusText}` : error;
+            throw new UpstreamDownError(`Failed to fetch ${description}: ${reason} after ${attempt + 1} attempts`, { url, status });
+        }
+        throw new FetchError(`Failed to fetch ${description}: ${status} ${response.statusText}`, { url, status });
+    }
+}
@@ -0,0 +1,214 @@
+/**
+ * HTTP API server for the HN Companion MCP
+ * Serves the REST summarize endpoint and the MCP tools over SSE.
+ */
+import express from 'express';
+import { SSEServerTransport } from "@modelcontextprotocol/sdk/server/sse.js";
+import { getPostId } from './utils.js';
+import { downloadPostComments } from './fetch-comments.js';
+import { formatForClaude } from './format-prompt.js';
+import { BUDGET_STRATEGIES } from './token-budget.js';
+import { RENDER_MODES, LINK_STYLES } from './render-comment.js';
+import { SCORING_STRATEGIES, parseBlendWeights } from './scoring.js';
+import { fetchArticle, DEFAULT_ARTICLE_MAX_LENGTH } from './article.js';
+import { DATA_SOURCES, DEFAULT_DATA_SOURCE } from './data-sources.js';
+import { getTemplate, DEFAULT_STYLE } from './prompt-templates.js';
+import { FetchError, NotFoundError, RateLimitedError, RequestCancelledError } from './http-client.js';
+/**
+ * Send an error response in the API envelope
+ * @param res - Express response
+ * @param statusCode - HTTP status code
+ * @param message - Error message
+ */
+function sendError(res, statusCode, message) {
+    res.status(statusCode).json({
+        status: 'error',
+        message: message
+    });
+}
+/**
+ * Answer an unexpected error with a 500, or end the response when its headers are already sent (e.g. an open SSE stream)
+ * @param res - Express response
+ * @param message - Error message
+ */
+function sendServerError(res, message) {
+    if (res.headersSent) {
+        res.end();
+        return;
+    }
+    sendError(res, 500, message);
+}
+/**
+ * Get the HTTP status of the error response for a failed download
+ * @param error - Download error
+ * @returns 404 when the post does not exist, 429 when rate limited, 502 for the other failures of the upstream,
+ * and 500 for the errors after a successful fetch, e.g. while parsing or formatting the thread
+ */
+function getDownloadErrorStatus(error) {
+    if (error instanceof NotFoundError) {
+        return 404;
+    }
+    if (error instanceof RateLimitedError) {
+        return 429;
+    }
+    return error instanceof FetchError ? 502 : 500;
+}
+/**
+ * Create the express app with the summarize API and the MCP SSE endpoints
+ * @param createServer - Factory returning a new MCP server for each SSE connection
+ * @returns Express app
+ */
+export function createHttpApp(createServer) {
+    const app = express();
+    // Active SSE transports, keyed by session ID
+    const transports = new Map();
+    app.post('/api/summarize', express.json(), async (req, res) => {
+        const input = typeof req.body?.input === 'string' ? req.body.input.trim() : '';
+        if (!input) {
+            return sendError(res, 400, 'Request body must contain a Hacker News post ID or URL in "input"');
+        }
+        const postId = getPostId(input);
+        if (!postId) {
+            return sendError(res, 400, 'Invalid input. Please provide a valid Hacker News post ID or URL');
+        }
+        const { maxTokens, budgetStrategy, renderMode = 'compact', linkStyle = 'inline', showTime = false, scoringStrategy = 'position', blendWeights, includeArticle = false, articleMaxLength = DEFAULT_ARTICLE_MAX_LENGTH, dataSource = DEFAULT_DATA_SOURCE, style = DEFAULT_STYLE } = req.body;
+        if (maxTokens !== undefined && (!Number.isInteger(maxTokens) || maxTokens <= 0)) {
+            return sendError(res, 400, '"maxTokens" must be a positive integer');
+        }
+        if (budgetStrategy !== undefined && !BUDGET_STRATEGIES.includes(budgetStrategy)) {
+            return sendError(res, 400, `"budgetStrategy" must be one of: ${BUDGET_STRATEGIES.join(', ')}`);
+        }
+        if (!RENDER_MODES.includes(renderMode)) {
+            return sendError(res, 400, `"renderMode" must be one of: ${RENDER_MODES.join(', ')}`);
+        }
+        if (!LINK_STYLES.includes(linkStyle)) {
+            return sendError(res, 400, `"linkStyle" must be one of: ${LINK_STYLES.join(', ')}`);
+        }
+        if (typeof showTime !== 'boolean') {
+            return sendError(res, 400, '"showTime" must be a boolean');
+        }
+        if (!SCORING_STRATEGIES.includes(scoringStrategy)) {
+            return sendError(res, 400, `"scoringStrategy" must be one of: ${SCORING_STRATEGIES.join(', ')}`);
+        }
+        const scoring = { strategy: scoringStrategy };
+        if (scoringStrategy === 'blend') {
+            try {
+                scoring.weights = parseBlendWeights(blendWeights);
+            }
+            catch (error) {
+                return sendError(res, 400, `"blendWeights" is invalid: ${error.message}`);
+            }
+        }
+        if (typeof includeArticle !== 'boolean') {
+            return sendError(res, 400, '"includeArticle" must be a boolean');
+        }
+        if (!Number.isInteger(articleMaxLength) || articleMaxLength <= 0) {
+            return sendError(res, 400, '"articleMaxLength" must be a positive integer');
+        }
+        if (!DATA_SOURCES.includes(dataSource)) {
+            return sendError(res, 400, `"dataSource" must be one of: ${DATA_SOURCES.join(', ')}`);
+        }
+        let template;
+        try {
+            template = await getTemplate(style);
+        }
+        catch (error) {
+            return sendError(res, 400, `"style" is invalid: ${error.message}`);
+        }
+        // Stop downloading when the client goes away
+        const controller = new AbortController();
+        res.on('close', () => {
+            if (!res.writableFinished) {
+                controller.abort();
+            }
+        });
+        try {
+            const { post, postComments, links, dataSource: treeSource, diagnostics } = await downloadPostComments(postId, {
+                render: { mode: renderMode, linkStyle },
+                scoring,
+                source: dataSource,
+                signal: controller.signal
+            });
+            const article = includeArticle
+                ? await fetchArticle(post.url, { maxLength: articleMaxLength, signal: controller.signal })
+                : null;
+            res.json({
+                status: 'success',
+                data: {
+                    ...formatForClaude(post, postComments, { maxTokens, budgetStrategy, renderMode, links, showTime, scoring, article, template }),
+                    dataSource: treeSource,
+                    diagnostics
+                }
+            });
+        }
+        catch (error) {
+            // Nobody is left to answer when the client cancelled the request
+            if (error instanceof RequestCancelledError) {
+                return;
+            }
+            console.error(`Error downloading comments for post ${postId}:`, error);
+            sendError(res, getDownloadErrorStatus(error), `Failed to download comments: ${error.message}`);
+        }
+    });
+    // MCP over SSE: the client opens the event stream here and is told where to POST its messages
+    app.get('/sse', async (req, res) => {
+        const transport = new SSEServerTransport('/messages', res);
+        transports.set(transport.sessionId, transport);
+        res.on('close', () => {
+            transports.delete(transport.sessionId);
+        });
+        try {
+            const server = createServer();
+            await server.connect(transport);
+        }
+        catch (error) {
+            console.error('Error opening the MCP SSE session:', error);
+            transports.delete(transport.sessionId);
+            sendServerError(res, `Failed to open the MCP session: ${error.message}`);
+        }
+    });
+    // The SSE transport parses the raw body itself, so no JSON middleware on this route
+    app.post('/messages', async (req, res) => {
+        const transport = transports.get(String(req.query.sessionId));
+        if (!transport) {
+            return sendError(res, 404, 'Unknown or expired session');
+        }
+        try {
+            await transport.handlePostMessage(req, res);
+        }
+        catch (error) {
+            console.error(`Error handling the MCP message of session ${transport.sessionId}:`, error);
+            sendServerError(res, `Failed to handle the message: ${error.message}`);
+        }
+    });
+    // Errors raised before the route handlers, e.g. by express.json(), answered in the API envelope instead of the default HTML page
+    app.use((error, req, res, next) => {
+        if (error.type === 'entity.parse.failed') {
+            return sendError(res, 400, `Request body must be valid JSON: ${error.message}`);
+        }
+        if (error.type === 'entity.too.large') {
+            return sendError(res, 413, `Request body must be at most ${error.limit} bytes`);
+        }
+        if (res.headersSent) {
+            return next(error);
+        }
+        console.error(`Error handling ${req.method} ${req.path}:`, error);
+        // The other body errors (e.g. an unsupported charset) carry their 4xx status
+        sendError(res, error.status >= 400 && error.status < 500 ? error.status : 500, error.message);
+    });
+    return app;
+}
+/**
+ * Start the HTTP server
+ * @param createServer - Factory returning a new MCP server for each SSE connection
+ * @param port - Port to listen on
+ * @returns Node HTTP server
+ */
+export function startHttpServer(createServer, port) {
+    const app = createHttpApp(createServer);
+    return app.listen(port, () => {
+        console.error(`HN Companion server listening on http://localhost:${port}`);
+        console.error(`  REST API: POST http://localhost:${port}/api/summarize`);
+        console.error(`  MCP SSE:  GET  http://localhost:${port}/sse`);
+    });
+}
@@ -0,0 +1,416 @@
+/**
+ * Functions for extracting structured listings from the monthly hiring threads posted by the whoishiring account:
+ * "Ask HN: Who is hiring?", "Ask HN: Freelancer? Seeking freelancer?" and "Ask HN: Who wants to be hired?"
+ * Each top-level comment is a listing. The comments are rendered as markdown, so that the links are kept for the contact details.
+ */
+import { downloadPostComments } from './fetch-comments.js';
+import { searchHN } from './search.js';
+import { getPostId } from './utils.js';
+import { getCommentUrl } from './citations.js';
+/**
+ * Kinds of hiring threads, each with the pattern of its title
+ * - hiring: Ask HN: Who is hiring?
+ * - freelancer: Ask HN: Freelancer? Seeking freelancer?
+ * - seeking: Ask HN: Who wants to be hired?
+ */
+const THREAD_TITLE_PATTERNS = {
+    hiring: /who is hiring\?/i,
+    freelancer: /freelancer\? seeking freelancer\?/i,
+    seeking: /who wants to be hired\?/i
+};
+export const HIRING_THREAD_KINDS = Object.keys(THREAD_TITLE_PATTERNS);
+export const LISTING_FORMATS = ['json', 'csv'];
+// Header parts of the freelancer threads, telling who is seeking whom
+const SEEKING_WORK_PATTERN = /^seeking\s+work\b/i;
+const SEEKING_FREELANCER_PATTERN = /^seeking\s+freelancers?\b/i;
+const REMOTE_PATTERN = /\bremote\b/i;
+const NO_REMOTE_PATTERN = /\b(?:no|not)\s+remote\b/i;
+const ONSITE_PATTERN = /\b(?:on-?site|in[- ]office|in[- ]person|hybrid)\b/i;
+const EMPLOYMENT_PATTERN = /\b(?:full[- ]?time|part[- ]?time|contract(?:ors?)?|freelance|permanent|internships?|interns?|ft|pt)\b/gi;
+const ROLE_PATTERN = /\b(?:engineers?|developers?|devs?|programmers?|swes?|sdes?|sres?|qa|pm|ux|staff|principal|senior|junior|sr|jr|designers?|scientists?|managers?|architects?|analysts?|leads?|directors?|head of|researchers?|devops|administrators?|consultants?|specialists?|recruiters?|marketers?|writers?|cto|vp|founding)\b/i;
+const VISA_PATTERN = /\b(?:visas?|sponsor(?:ship|s|ing)?|h-?1bs?)\b/i;
+const NO_VISA_PATTERN = /\b(?:no|not|cannot|can't|can not|unable to|don't|do not|won't|without)\b[^.]*\b(?:visas?|sponsor)/i;
+// Header parts that describe the company rather than a location
+const COMPANY_DETAILS_PATTERN = /\b(?:series [a-e]|seed|yc [swf]?\d+|funded|employees|people|startup|equity|benefits|stage)\b/i;
+// Amounts like $150k, €90,000 - €110,000 or 120k-160k USD, not followed by a funding context
+const SALARY_PATTERN = /(?:[$€£]\s?\d[\d,.]*\s?[kK]?(?:\s?(?:-|–|to)\s?[$€£]?\s?\d[\d,.]*\s?[kK]?)?|\b\d{2,3}(?:[.,]\d+)?\s?[kK](?:\s?(?:-|–|to)\s?\d{2,3}(?:[.,]\d+)?\s?[kK])?)(?:\s?(?:USD|EUR|GBP|CAD|AUD|CHF))?/;
+const FUNDING_CONTEXT_PATTERN = /^\s*(?:in\s+)?(?:series|seed|funding|raised|arr|revenue|valuation|users|customers)/i;
+const EMAIL_PATTERN = /[\w.+-]+@[\w-]+(?:\.[\w-]+)+/g;
+// Emails written as "jobs [at] example [dot] com" to avoid scrapers
+// Only the bracketed dots may have spaces around them, a dot followed by a space ends the sentence and the email.
+const OBFUSCATED_EMAIL_PATTERN = /([\w.+-]+)\s*[[({]\s*at\s*[\])}]\s*([\w-]+(?:(?:\s*[[({]\s*dot\s*[\])}]\s*|\.)[\w-]+)+)/gi;
+const OBFUSCATED_DOT_PATTERN = /\s*[[({]\s*dot\s*[\])}]\s*/gi;
+// Characters starting a formula in spreadsheets, see toCsvField
+const CSV_FORMULA_PATTERN = /^[=+\-@\t\r]/;
+// Links of the markdown rendering: [text](url) and <url>
+const LINK_PATTERN = /\]\((https?:\/\/[^)\s]+)\)|<(https?:\/\/[^>\s]+)>/g;
+// "Key: value" lines of the seeking work template (Location, Remote, Willing to relocate, Technologies, Résumé/CV, Email)
+const FIELD_PATTERN = /^\s*\**\s*(location|remote|willing to relocate|technologies|tech stack|stack|skills|email|contact)\s*\**\s*:\s*(.+)$/gim;
+/**
+ * Technologies reported in the tech stack, matched case-insensitively, except the names that are also common words (Go, Rust, Swift...) which must be capitalized
+ */
+const TECH_KEYWORDS = [
+    'Python', 'TypeScript', 'JavaScript', 'Java', 'Kotlin', 'Scala', 'Ruby', 'Rails', 'PHP', 'Laravel', 'Elixir', 'Erlang',
+    'Haskell', 'OCaml', 'Clojure', 'F#', 'C#', '.NET', 'C++', 'Zig', 'Perl', 'Solidity',
+    'Django', 'Flask', 'FastAPI', 'Spring', 'React', 'React Native', 'Vue', 'Angular', 'Svelte', 'Next.js', 'Tailwind', 'GraphQL', 'gRPC',
+    'PostgreSQL', 'MySQL', 'SQLite', 'MongoDB', 'Redis', 'Kafka', 'Elasticsearch', 'ClickHouse', 'Snowflake', 'Airflow', 'dbt', 'SQL',
+    'AWS', 'GCP', 'Azure', 'Kubernetes', 'Docker', 'Terraform', 'Linux', 'iOS', 'Android', 'Flutter',
+    'PyTorch', 'TensorFlow', 'JAX', 'CUDA', 'LLM', 'FPGA', 'Verilog', 'Embedded'
+].map(name => ({ name, pattern: new RegExp(`(?<![\\w.+#-])${name.replace(/[.+#]/g, '\\$&')}(?![\\w+#])`, 'i') }))
+    .concat([
+        { name: 'Go', pattern: /\bGolang\b|(?<![\w.+#-])Go(?=\s*[,/|;)]|\s+(?:and|or)\b|\s*$)/m },
+        { name: 'Node.js', pattern: /(?<![\w.-])Node(?:\.?js)?(?![\w-])/i },
+        { name: 'Postgres', pattern: /(?<![\w.-])Postgres(?![\w-])/i },
+        { name: 'Rust', pattern: /(?<![\w.-])Rust(?![\w-])/ },
+        { name: 'Swift', pattern: /(?<![\w.-])Swift(?![\w-])/ },
+        { name: 'Spark', pattern: /(?<![\w.-])(?:Apache )?Spark(?![\w-])/ },
+        { name: 'Unity', pattern: /(?<![\w.-])Unity(?![\w-])/ },
+        { name: 'Julia', pattern: /(?<![\w.-])Julia(?![\w-])/ }
+    ]);
+/**
+ * Find the latest hiring thread of a kind, posted by the whoishiring account
+ * @param kind - One of HIRING_THREAD_KINDS
+ * @param options - Search options
+ * @param options.signal - Signal cancelling the search
+ * @returns Post ID of the latest thread
+ */
+export async function findLatestHiringThread(kind, { signal } = {}) {
+    const results = await searchHN('', {
+        tags: ['story', 'author_whoishiring'],
+        sort: 'date',
+        hitsPerPage: 20,
+        signal
+    });
+    const thread = results.hits.find(hit => THREAD_TITLE_PATTERNS[kind].test(hit.title ?? ''));
+    if (!thread) {
+        throw new Error(`No recent "${kind}" thread found from whoishiring`);
+    }
+    return thread.id;
+}
+/**
+ * Get the kind of a hiring thread from its title
+ * @param title - Thread title
+ * @returns One of HIRING_THREAD_KINDS, or null for other threads
+ */
+export function getHiringThreadKind(title) {
+    return HIRING_THREAD_KINDS.find(kind => THREAD_TITLE_PATTERNS[kind].test(title ?? '')) ?? null;
+}
+/**
+ * Remove the markdown links and emphasis of a text, keeping the link text
+ * @param text - Markdown text
+ * @returns Plain text
+ */
+function stripMarkdown(text) {
+    return text
+        .replace(/\[([^\]]*)\]\([^)]*\)/g, '$1')
+        .replace(/<(https?:\/\/[^>\s]+)>/g, '$1')
+        .replace(/\*+/g, '')
+        .trim();
+}
+/**
+ * Add values to a list, skipping the ones already in it (case-insensitive)
+ * @param list - List of values
+ * @param values - Values to add
+ */
+function addUnique(list, values) {
+    values.forEach(value => {
+        if (value && !list.some(existing => existing.toLowerCase() === value.toLowerCase())) {
+            list.push(value);
+        }
+    });
+}
+/**
+ * Split a location text into its locations, e.g. "NYC or London" into NYC and London
+ * Commas are kept, as in "San Francisco, CA".
+ * @param text - Location text
+ * @returns Locations
+ */
+function splitLocations(text) {
+    return text
+        .split(/\s*(?:;|\/|\||\bor\b|\band\b|&|\+)\s*/i)
+        .map(location => location.replace(/^[\s,.:()-]+|[\s,.:()-]+$/g, '').replace(/\(\s*\)/g, '').trim())
+        .filter(location => location && location.toLowerCase() !== 'only');
+}
+/**
+ * Get the location part of a header part, without the remote, onsite and employment words
+ * @param part - Header part
+ * @returns Location text, empty if the part has none
+ */
+function getLocationText(part) {
+    return part
+        .replace(new RegExp(`${REMOTE_PATTERN.source}|${ONSITE_PATTERN.source}`, 'gi'), '')
+        .replace(EMPLOYMENT_PATTERN, '')
+        .replace(/\bonly\b/gi, '')
+        .replace(/\(\s*\)|\[\s*\]/g, '')
+        .replace(/\s+/g, ' ')
+        .replace(/^[\s,.:;/|()+&-]+|[\s,.:;/|()+&-]+$/g, '')
+        .trim();
+}
+/**
+ * Find the salary mentions of a text, skipping the amounts about funding or revenue
+ * @param text - Listing text
+ * @returns Salary mentions, e.g. $150k - $200k
+ */
+function findSalaries(text) {
+    const salaries = [];
+    for (const match of text.matchAll(new RegExp(SALARY_PATTERN, 'g'))) {
+        const after = text.slice(match.index + match[0].length, match.index + match[0].length + 30);
+        const before = text.slice(Math.max(0, match.index - 20), match.index);
+        // Bare numbers without a currency or a k are not amounts
+        if (!/[$€£kK]/.test(match[0]) || FUNDING_CONTEXT_PATTERN.test(after) || /(?:raised|funding of|valuation of)\s*$/i.test(before)) {
+            continue;
+        }
+        addUnique(salaries, [match[0].trim()]);
+    }
+    return salaries;
+}
+/**
+ * Find the visa sponsorship mention of a text
+ * @param text - Listing text
+ * @returns Whether visas are sponsored and the sentence mentioning them, or null if visas are not mentioned
+ */
+function findVisa(text) {
+    const mention = text
+        .split(/(?<=[.!?])\s+|\n+/)
+        .map(sentence => stripMarkdown(sentence))
+        .find(sentence => VISA_PATTERN.test(sentence));
+    if (!mention) {
+        return null;
+    }
+    return {
+        sponsorship: !NO_VISA_PATTERN.test(mention),
+        mention
+    };
+}
+/**
+ * Find the contact details of a text: emails (including obfuscated ones) and links
+ * @param text - Listing text, as markdown
+ * @returns Emails and URLs
+ */
+function findContact(text) {
+    const emails = [];
+    const urls = [];
+    addUnique(emails, [...text.matchAll(EMAIL_PATTERN)].map(match => match[0].replace(/\.$/, '')));
+    addUnique(emails, [...text.matchAll(OBFUSCATED_EMAIL_PATTERN)]
+        .map(match => `${match[1]}@${match[2].replace(OBFUSCATED_DOT_PATTERN, '.')}`));
+    addUnique(urls, [...text.matchAll(LINK_PATTERN)]
+        .map(match => match[1] || match[2])
+        // mailto links are already in the emails
+        .filter(url => !url.startsWith('mailto:')));
+    return { emails, urls };
+}
+/**
+ * Find the technologies mentioned in a text
+ * @param text - Listing text
+ * @returns Technology names, in the order of TECH_KEYWORDS
+ */
+function findTechStack(text) {
+    return TECH_KEYWORDS
+        .filter(keyword => keyword.pattern.test(text))
+        .map(keyword => keyword.name);
+}
+/**
+ * Parse a top-level comment of a hiring thread into a listing
+ * The header line ("Company | Role | Location | REMOTE | Salary | URL") gives the company, roles and locations,
+ * and the "Key: value" lines of the seeking work template the locations, remote flag, technologies and email.
+ * The salary, visa, contact and tech stack are searched in the whole text.
+ * @param comment - Structured top-level comment, rendered as markdown
+ * @param threadKind - Kind of the thread, one of HIRING_THREAD_KINDS
+ * @returns Listing
+ */
+export function parseListing(comment, threadKind = 'hiring') {
+    const text = comment.text;
+    const headline = stripMarkdown(text.split('\n')[0]);
+    const parts = text.split('\n')[0].includes('|')
+        ? text.split('\n')[0].split('|').map(part => part.trim()).filter(Boolean)
+        : [];
+    let kind = threadKind === 'seeking' ? 'seeking_work' : 'hiring';
+    if (parts.length > 0 && SEEKING_WORK_PATTERN.test(stripMarkdown(parts[0]))) {
+        kind = 'seeking_work';
+        parts.shift();
+    }
+    else if (parts.length > 0 && SEEKING_FREELANCER_PATTERN.test(stripMarkdown(parts[0]))) {
+        parts.shift();
+    }
+    // People seeking work have no company, their header starts with the location
+    const company = kind === 'hiring' && parts.length > 0 ? stripMarkdown(parts.shift()) : null;
+    const locations = [];
+    const roles = [];
+    const techStack = [];
+    let remote = null;
+    let onsite = null;
+    // The header flags, e.g. REMOTE or ONSITE, take precedence over the mentions in the text
+    const header = parts.join(' | ');
+    parts.forEach(part => {
+        const plainPart = stripMarkdown(part);
+        if (/^(?:https?:\/\/)?[\w-]+(?:\.[\w-]+)+(?:\/\S*)?$/i.test(plainPart) || SALARY_PATTERN.test(plainPart) || VISA_PATTERN.test(plainPart)) {
+            return;
+        }
+        if (ROLE_PATTERN.test(plainPart)) {
+            // A list of roles is split when every item is a role, "Backend, Frontend Engineer" is kept whole
+            const items = plainPart.split(/\s*,\s*/);
+            addUnique(roles, items.every(item => ROLE_PATTERN.test(item)) ? items : [plainPart]);
+            return;
+        }
+        const locationText = getLocationText(plainPart);
+        if (locationText && locationText.length <= 60 && !COMPANY_DETAILS_PATTERN.test(locationText)) {
+            addUnique(locations, splitLocations(locationText));
+        }
+    });
+    for (const [, key, value] of text.matchAll(FIELD_PATTERN)) {
+        const plainValue = stripMarkdown(value);
+        switch (key.toLowerCase()) {
+            case 'location':
+                addUnique(locations, splitLocations(getLocationText(plainValue)));
+                if (REMOTE_PATTERN.test(plainValue) && !NO_REMOTE_PATTERN.test(plainValue)) {
+                    remote = true;
+                }
+                break;
+            case 'remote':
+                remote = /^(?:yes|y|ok|sure|only|prefer|preferred|true|either|both)\b/i.test(plainValue);
+                if (/\b(?:no|either|both|hybrid)\b/i.test(plainValue)) {
+                    onsite = true;
+                }
+                break;
+            case 'technologies':
+            case 'tech stack':
+            case 'stack':
+            case 'skills':
+                addUnique(techStack, plainValue
+                    .split(/\s*[,;]\s*/)
+                    .map(item => item.replace(/\.$/, '').trim())
+                    .filter(item => item && item.length <= 30));
+                break;
+        }
+    }
+    if (remote === null) {
+        const remoteText = header || text;
+        remote = REMOTE_PATTERN.test(remoteText) && !NO_REMOTE_PATTERN.test(remoteText);
+    }
+    if (onsite === null) {
+        const onsiteText = header || text;
+        onsite = ONSITE_PATTERN.test(onsiteText) || NO_REMOTE_PATTERN.test(onsiteText) || (!remote && locations.length > 0);
+    }
+    addUnique(techStack, findTechStack(stripMarkdown(text)));
+    return {
+        id: comment.id,
+        kind,
+        company,
+        locations,
+        remote,
+        onsite,
+        roles,
+        techStack,
+        salary: findSalaries(stripMarkdown(text)),
+        visa: findVisa(text),
+        contact: findContact(text),
+        author: comment.author,
+        postedAt: comment.createdAt,
+        commentUrl: getCommentUrl(comment.id),
+        headline
+    };
+}
+/**
+ * Check if a listing matches the filters
+ * @param listing - Listing from parseListing
+ * @param text - Text of the listing comment
+ * @param filters - Filters, see downloadJobListings
+ * @returns True if the listing matches all the filters
+ */
+function matchesFilters(listing, text, { keyword, location, remote }) {
+    if (keyword && !`${listing.company ?? ''}\n${text}`.toLowerCase().includes(keyword.toLowerCase())) {
+        return false;
+    }
+    if (location && !listing.locations.some(listingLocation => listingLocation.toLowerCase().includes(location.toLowerCase()))) {
+        return false;
+    }
+    if (remote !== undefined && remote !== null && listing.remote !== remote) {
+        return false;
+    }
+    return true;
+}
+/**
+ * Download a hiring thread and extract its listings, one per top-level comment
+ * @param input - Thread URL or ID, or "latest" for the latest thread of `kind`
+ * @param options - Download and filter options
+ * @param options.kind - One of HIRING_THREAD_KINDS, to find the latest thread. For a given thread, the kind is found from its title.
+ * @param options.keyword - Only the listings mentioning this keyword (case-insensitive)
+ * @param options.location - Only the listings with a location containing this text (case-insensitive)
+ * @param options.remote - Only the remote listings when true, only the non-remote ones when false
+ * @param options.noCache - Bypass the cache
+ * @param options.source - Data source of the comment tree, see downloadCommentTree
+ * @param options.signal - Signal cancelling the download
+ * @returns Thread ID, title and kind, the number of listings in the thread, the listings matching the filters in thread order,
+ * and the data source details (see downloadCommentTree)
+ */
+export async function downloadJobListings(input, { kind = 'hiring', keyword, location, remote, noCache = false, source, signal } = {}) {
+    if (!HIRING_THREAD_KINDS.includes(kind)) {
+        throw new Error(`Unknown hiring thread kind "${kind}". Use one of: ${HIRING_THREAD_KINDS.join(', ')}`);
+    }
+    const threadId = input === 'latest' ? await findLatestHiringThread(kind, { signal }) : getPostId(input);
+    if (!threadId) {
+        throw new Error(`Invalid thread: ${input}`);
+    }
+    // Markdown keeps the links of the listings, which the compact rendering removes
+    const { post, postComments, dataSource } = await downloadPostComments(threadId, {
+        noCache,
+        render: { mode: 'markdown', linkStyle: 'inline' },
+        source,
+        signal
+    });
+    if (post.subthread) {
+        throw new Error(`Item ${threadId} is a comment, not a hiring thread`);
+    }
+    const threadKind = getHiringThreadKind(post.title) ?? kind;
+    const topLevelComments = postComments.filter(comment => !comment.path.includes('.'));
+    const listings = topLevelComments
+        .map(comment => ({ listing: parseListing(comment, threadKind), text: comment.text }))
+        .filter(({ listing, text }) => matchesFilters(listing, text, { keyword, location, remote }))
+        .map(({ listing }) => listing);
+    return {
+        threadId,
+        title: post.title,
+        kind: threadKind,
+        listingCount: topLevelComments.length,
+        listings,
+        dataSource
+    };
+}
+/**
+ * Quote a CSV field when needed
+ * The texts starting like a formula (=, +, -, @) are prefixed with a quote, so that spreadsheets show them instead of evaluating them.
+ * @param value - Field value
+ * @returns CSV field
+ */
+function toCsvField(value) {
+    const rawText = value === null || value === undefined ? '' : String(value);
+    const text = CSV_FORMULA_PATTERN.test(rawText) ? `'${rawText}` : rawText;
+    return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+/**
+ * Format the listings as CSV, one row per listing, with the lists joined by "; "
+ * @param listings - Listings from downloadJobListings
+ * @returns CSV with a header row
+ */
+export function formatListingsCsv(listings) {
+    const columns = {
+        id: listing => listing.id,
+        kind: listing => listing.kind,
+        company: listing => listing.company,
+        locations: listing => listing.locations.join('; '),
+        remote: listing => listing.remote,
+        onsite: listing => listing.onsite,
+        roles: listing => listing.roles.join('; '),
+        techStack: listing => listing.techStack.join('; '),
+        salary: listing => listing.salary.join('; '),
+        visaSponsorship: listing => listing.visa ? listing.visa.sponsorship : '',
+        emails: listing => listing.contact.emails.join('; '),
+        urls: listing => listing.contact.urls.join('; '),
+        author: listing => listing.author,
+        postedAt: listing => listing.postedAt,
+        commentUrl: listing => listing.commentUrl,
+        headline: listing => listing.headline
+    };
+    const rows = listings.map(listing => Object.values(columns).map(getValue => toCsvField(getValue(listing))).join(','));
+    return [Object.keys(columns).join(','), ...rows].join('\n') + '\n';
+}
@@ -0,0 +1,262 @@
+/**
+ * Prompt templates: the summary styles picked with the `style` option
+ * A template sets the output structure of the system prompt, the opening instructions of the user prompt,
+ * the downvote threshold above which comments are left out and the language of the summary.
+ * The built-in styles are completed by user templates, one JSON file per style in HN_TEMPLATES_DIR, e.g. ~/.config/hn-companion-mcp/templates/tldr-fr.json:
+ * { "description": "...", "output": "..." or [lines], "instructions": "..." or [lines], "downvoteThreshold": 4, "language": "French" }
+ */
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+// Template directory, can be set with the HN_TEMPLATES_DIR environment variable
+const TEMPLATES_DIR = process.env.HN_TEMPLATES_DIR || path.join(os.homedir(), '.config', 'hn-companion-mcp', 'templates');
+// Style used when none is given
+export const DEFAULT_STYLE = 'default';
+/**
+ * Variables that the output and instructions of a template can use as {{name}}
+ * - postTitle: title of the post, or of the story of a subthread
+ * - commentCount: number of comments of the thread
+ * - downvoteThreshold: number of downvotes from which comments are left out
+ * - language: language of the summary, English unless the template sets it
+ */
+export const TEMPLATE_VARIABLES = ['postTitle', 'commentCount', 'downvoteThreshold', 'language'];
+// Fields of a template file
+const TEMPLATE_FIELDS = ['description', 'output', 'instructions', 'downvoteThreshold', 'language'];
+// Downvote threshold of the templates that do not set one
+const DEFAULT_DOWNVOTE_THRESHOLD = 4;
+// Opening instructions of the user prompt, for the templates that do not set them
+const DEFAULT_INSTRUCTIONS = `Provide a concise and insightful summary of the following Hacker News discussion, as per the guidelines you've been given.
+The goal is to help someone quickly grasp the main discussion points and key perspectives without reading all comments.
+Please focus on extracting the main themes, significant viewpoints, and high-quality contributions.`;
+/**
+ * Built-in styles
+ * - default: overview, main themes with quotes, key perspectives and side discussions
+ * - tldr: a single paragraph
+ * - debate: a map of the arguments for and against, with the rebuttals
+ * - technical: the technical takeaways, links and tools only
+ */
+const BUILT_IN_TEMPLATES = {
+    default: {
+        description: 'Overview, main themes with quotes, key perspectives and notable side discussions',
+        output: `Your response should be formatted using markdown and should have the following structure. 
+
+# Overview
+Brief summary of the overall discussion in 2-3 sentences - adjust based on complexity and depth of comments.
+
+# Main Themes & Key Insights
+[Bulleted list of themes, ordered by community engagement (combination of scores and replies). Order themes based on the overall community engagement they generated. Each bullet should be a summary with 2 or 3 sentences, adjusted based on the complexity of the topic.]
+
+# [Theme 1 title - from the first bullet above]
+[Summarize key insights or arguments under this theme in a couple of sentences. Use bullet points.]
+[Identify important quotes and include them here with hierarchy_paths so that we can link back to the comment in the main page. Include direct "quotations" (with author attribution) where appropriate. You MUST quote directly from users with double quotes. You MUST include hierarchy_path as well. Do NOT include comments with {{downvoteThreshold}} or more downvotes. For example: 
+- [1.1.1] (user3) noted, "..."
+- [2.1] (user2) explained that "..."
+- [3] Perspective from (user5) added, "..."
+- etc.
+
+# [Theme 2 title - from the second bullet in the main themes section]
+[Same structure as above.]
+
+# [Theme 3 title and 4 title - if the discussion has more themes]
+
+# Key Perspectives
+[Present contrasting perspectives, noting their community reception. When including key quotes, you MUST include hierarchy_paths and author, so that we can link back to the comment in the main page.]
+[Present these concisely and highlight any significant community reactions (agreement, disagreement, etc.)]
+[Watch for community consensus or disagreements]
+
+# Notable Side Discussions
+[Interesting tangents that added value. When including key quotes, you MUST include hierarchy_paths and author, so that we can link back to the comment in the main page]`,
+        instructions: DEFAULT_INSTRUCTIONS
+    },
+    tldr: {
+        description: 'A one-paragraph TL;DR of the discussion',
+        output: `Your response should be a single paragraph of at most 5 sentences, without headings or bullet points: the main takeaway of the discussion, the dominant opinions and the most notable disagreement.
+After each point, give the hierarchy_path of the comment it comes from in brackets, e.g. [1.2], so that we can link back to the comment in the main page. Do NOT rely on comments with {{downvoteThreshold}} or more downvotes.`,
+        instructions: `Provide a one-paragraph TL;DR of the following Hacker News discussion, as per the guidelines you've been given.
+The goal is to tell someone in a few seconds what the community thinks of "{{postTitle}}", without reading any of its {{commentCount}} comments.`
+    },
+    debate: {
+        description: 'A map of the debate: the arguments for and against, the rebuttals and where the community lands',
+        output: `Your response should be formatted using markdown and should map the debate with the following structure.
+
+# The Question
+The central question or claim the discussion argues about, in one sentence.
+
+# Arguments For
+[Bulleted list of the arguments supporting the claim, strongest first (combination of scores and replies). Each bullet states the argument in one sentence, followed by a direct "quotation" with its hierarchy_path and author, e.g. [1.2] (user2): "...".]
+
+# Arguments Against
+[Same structure as above, for the arguments against the claim.]
+
+# Rebuttals
+[The notable exchanges where an argument was answered directly, e.g. [1] (user1) argued that ..., and [1.1] (user2) replied that ...]
+
+# Where the Community Lands
+[2-3 sentences on which side got the most community support, what both sides agree on, and what remains open.]
+
+Do NOT include comments with {{downvoteThreshold}} or more downvotes.`,
+        instructions: `Map the debate in the following Hacker News discussion, as per the guidelines you've been given.
+The goal is to help someone see the arguments on each side, how they answered each other, and which ones the community found convincing.`
+    },
+    technical: {
+        description: 'The technical takeaways, links and tools of the discussion only, best with the markdown rendering',
+        output: `Your response should be formatted using markdown and should only contain the technical content of the discussion, with the following structure.
+
+# Technical Takeaways
+[Bulleted list of the concrete technical insights: facts, benchmarks, explanations of how things work, pitfalls and recommendations from experience. Each bullet in one or two sentences, with the hierarchy_path and author of its comment, e.g. [1.2] (user2). Skip opinions, jokes and meta discussions.]
+
+# Links
+[Bulleted list of the links shared in the comments that are worth reading: the link, what it is, and the hierarchy_path and author of the comment that shared it.]
+
+# Tools and Libraries
+[Bulleted list of the tools, libraries and projects recommended in the comments, each with what it is used for and the hierarchy_path of the comment. Omit if there are none.]
+
+Do NOT include comments with {{downvoteThreshold}} or more downvotes.`,
+        instructions: `Extract the technical takeaways and links from the following Hacker News discussion, as per the guidelines you've been given.
+The goal is a digest for an engineer who only wants the technical content, not the opinions.`
+    }
+};
+// Templates by style, loaded once
+let templatesPromise = null;
+/**
+ * Check the text of a template field: a string, or an array of lines, using only the known variables
+ * @param value - Field value
+ * @param field - Field name
+ * @param problems - Problems found, where the ones of this field are added
+ * @returns Text of the field
+ */
+function validateText(value, field, problems) {
+    const text = Array.isArray(value) && value.every(line => typeof line === 'string') ? value.join('\n') : value;
+    if (typeof text !== 'string' || !text.trim()) {
+        problems.push(`"${field}" must be a non-empty string or an array of lines`);
+        return '';
+    }
+    [...text.matchAll(/\{\{\s*(\w+)\s*\}\}/g)]
+        .filter(([, variable]) => !TEMPLATE_VARIABLES.includes(variable))
+        .forEach(([placeholder]) => problems.push(`"${field}" uses the unknown variable ${placeholder}, use one of: ${TEMPLATE_VARIABLES.join(', ')}`));
+    return text;
+}
+/**
+ * Validate a template and fill in the defaults of its optional fields
+ * @param name - Style name
+ * @param template - Template, from the built-in styles or parsed from a template file
+ * @returns Template with its name, description, output, instructions, downvote threshold and language (null when not set)
+ */
+export function validateTemplate(name, template) {
+    if (!/^[a-z0-9][a-z0-9_-]*$/i.test(name)) {
+        throw new Error(`Invalid template name "${name}": use letters, digits, dashes and underscores`);
+    }
+    if (!template || typeof template !== 'object' || Array.isArray(template)) {
+        throw new Error(`Invalid template "${name}": it must be a JSON object`);
+    }
+    const problems = [];
+    Object.keys(template)
+        .filter(field => !TEMPLATE_FIELDS.includes(field))
+        .forEach(field => problems.push(`unknown field "${field}", use: ${TEMPLATE_FIELDS.join(', ')}`));
+    if (typeof template.description !== 'string' || !template.description.trim()) {
+        problems.push('"description" must be a non-empty string');
+    }
+    const output = validateText(template.output, 'output', problems);
+    const instructions = template.instructions === undefined
+        ? DEFAULT_INSTRUCTIONS
+        : validateText(template.instructions, 'instructions', problems);
+    const downvoteThreshold = template.downvoteThreshold ?? DEFAULT_DOWNVOTE_THRESHOLD;
+    if (!Number.isInteger(downvoteThreshold) || downvoteThreshold < 1) {
+        problems.push('"downvoteThreshold" must be a positive integer');
+    }
+    if (template.language !== undefined && (typeof template.language !== 'string' || !template.language.trim())) {
+        problems.push('"language" must be a non-empty string');
+    }
+    if (problems.length > 0) {
+        throw new Error(`Invalid template "${name}": ${problems.join('; ')}`);
+    }
+    return {
+        name,
+        description: template.description,
+        output,
+        instructions,
+        downvoteThreshold,
+        language: template.language?.trim() || null
+    };
+}
+/**
+ * Read and validate the user templates of the template directory
+ * @returns Templates by style, empty when the directory does not exist
+ */
+async function readUserTemplates() {
+    const files = await fs.readdir(TEMPLATES_DIR).catch(() => []);
+    const templates = new Map();
+    for (const file of files.filter(file => file.endsWith('.json')).sort()) {
+        const name = file.replace(/\.json$/, '');
+        let template;
+        try {
+            template = JSON.parse(await fs.readFile(path.join(TEMPLATES_DIR, file), 'utf8'));
+        }
+        catch (error) {
+            throw new Error(`Invalid template file ${path.join(TEMPLATES_DIR, file)}: ${error.message}`);
+        }
+        templates.set(name, validateTemplate(name, template));
+    }
+    return templates;
+}
+/**
+ * Load the built-in styles and the user templates, validating all of them
+ * User templates take precedence over the built-in styles of the same name. The templates are read once, at the first call.
+ * @returns Templates by style
+ */
+export async function loadTemplates() {
+    if (!templatesPromise) {
+        templatesPromise = readUserTemplates().then(userTemplates => {
+            const templates = new Map(Object.entries(BUILT_IN_TEMPLATES)
+                .map(([name, template]) => [name, validateTemplate(name, template)]));
+            userTemplates.forEach((template, name) => templates.set(name, template));
+            return templates;
+        });
+        // A template fixed after a failed load is picked up by the next call
+        templatesPromise.catch(() => {
+            templatesPromise = null;
+        });
+    }
+    return templatesPromise;
+}
+/**
+ * Get the template of a style
+ * @param style - Style name, defaults to DEFAULT_STYLE
+ * @returns Template, see validateTemplate
+ */
+export async function getTemplate(style = DEFAULT_STYLE) {
+    const templates = await loadTemplates();
+    const template = templates.get(style);
+    if (!template) {
+        throw new Error(`Unknown style "${style}". Use one of: ${[...templates.keys()].join(', ')}`);
+    }
+    return template;
+}
+/**
+ * List the available styles
+ * @returns Styles with their name and description, built-in styles first
+ */
+export async function listStyles() {
+    const templates = await loadTemplates();
+    return [...templates.values()].map(({ name, description }) => ({ name, description }));
+}
+/**
+ * Render a field of a template, replacing its {{variables}}
+ * @param template - Template, see validateTemplate
+ * @param field - output or instructions
+ * @param context - Values of the variables that depend on the thread
+ * @param context.postTitle - Title of the post
+ * @param context.commentCount - Number of comments
+ * @returns Rendered text
+ */
+export function renderTemplate(template, field, { postTitle = '', commentCount = 0 } = {}) {
+    const variables = {
+        postTitle,
+        commentCount,
+        downvoteThreshold: template.downvoteThreshold,
+        language: template.language ?? 'English'
+    };
+    return template[field].replace(/\{\{\s*(\w+)\s*\}\}/g, (placeholder, variable) => String(variables[variable]));
+}
+// Template of the default style, for the prompts built without a style
+export const DEFAULT_TEMPLATE = validateTemplate(DEFAULT_STYLE, BUILT_IN_TEMPLATES[DEFAULT_STYLE]);
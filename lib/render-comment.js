@@ -0,0 +1,142 @@
+/**
+ * Functions for rendering the HTML of HN comments as markdown
+ * Unlike the compact rendering, links, code blocks, inline code and italics are kept.
+ */
+import { decode } from 'html-entities';
+/**
+ * Comment rendering modes
+ * - compact: plain text on a single line, without links and code
+ * - markdown: markdown with links, code blocks, inline code, italics and quotes
+ */
+export const RENDER_MODES = ['compact', 'markdown'];
+/**
+ * Link styles of the markdown rendering
+ * - inline: [text](url), or <url> when the link text is the URL
+ * - footnotes: text[^1], numbered once per URL across the thread, with the URLs listed after the comments
+ */
+export const LINK_STYLES = ['inline', 'footnotes'];
+// Code blocks longer than this are cut, to keep huge pastes from taking over the context
+const DEFAULT_MAX_CODE_LINES = 20;
+/**
+ * Create the registry numbering the footnote links, shared by all the comments of a thread
+ * @returns Link registry
+ */
+export function createLinkRegistry() {
+    return {
+        numbers: new Map(),
+        links: []
+    };
+}
+/**
+ * Get the footnote number of a URL, adding it to the registry the first time
+ * @param registry - Link registry
+ * @param url - Link URL
+ * @returns Footnote number
+ */
+function getFootnoteNumber(registry, url) {
+    if (!registry.numbers.has(url)) {
+        registry.numbers.set(url, registry.links.length + 1);
+        registry.links.push({ number: registry.links.length + 1, url });
+    }
+    return registry.numbers.get(url);
+}
+/**
+ * Render a code block as a fenced block, without the common indentation and cut after maxCodeLines
+ * @param code - Code text
+ * @param maxCodeLines - Maximum number of lines
+ * @returns Fenced code block
+ */
+function renderCodeBlock(code, maxCodeLines) {
+    const lines = code.replace(/^\n+|\s+$/g, '').split('\n');
+    // HN code blocks are written with a two space indentation
+    const indentation = Math.min(...lines
+        .filter(line => line.trim())
+        .map(line => line.match(/^ */)[0].length));
+    let codeLines = lines.map(line => line.slice(Number.isFinite(indentation) ? indentation : 0));
+    if (codeLines.length > maxCodeLines) {
+        const remaining = codeLines.length - maxCodeLines;
+        codeLines = [...codeLines.slice(0, maxCodeLines), `... (${remaining} more lines)`];
+    }
+    return `\n\n\`\`\`\n${codeLines.join('\n')}\n\`\`\`\n\n`;
+}
+/**
+ * Render a link
+ * @param element - Anchor element
+ * @param text - Rendered link text
+ * @param options - Render options
+ * @returns Markdown link
+ */
+function renderLink(element, text, options) {
+    const url = decode(element.getAttribute('href') || '');
+    if (!url) {
+        return text;
+    }
+    // HN shortens the text of long links with "...", so the text is the URL when it is a prefix of it
+    const shortText = text.replace(/\.\.\.$/, '');
+    const isBareUrl = !text || url.startsWith(shortText) || url === text;
+    if (options.linkStyle === 'footnotes' && options.links) {
+        const number = getFootnoteNumber(options.links, url);
+        return isBareUrl ? `[^${number}]` : `${text}[^${number}]`;
+    }
+    return isBareUrl ? `<${url}>` : `[${text}](${url})`;
+}
+/**
+ * Render the child nodes of an element as markdown
+ * @param nodes - Child nodes
+ * @param options - Render options
+ * @returns Markdown
+ */
+function renderNodes(nodes, options) {
+    return nodes.map(node => {
+        // Text node
+        if (node.nodeType === 3) {
+            return decode(node.rawText).replace(/\s+/g, ' ');
+        }
+        if (node.nodeType !== 1) {
+            return '';
+        }
+        const inner = () => renderNodes(node.childNodes, options);
+        switch (node.tagName) {
+            case 'P':
+                return `\n\n${inner()}`;
+            case 'I':
+            case 'EM':
+                return `*${inner().trim()}*`;
+            case 'B':
+            case 'STRONG':
+                return `**${inner().trim()}**`;
+            case 'A':
+                return renderLink(node, inner().trim(), options);
+            case 'PRE':
+                // The content of <pre> is kept as raw text by the parser, including the <code> tags
+                return renderCodeBlock(decode(node.rawText.replace(/<\/?code>/g, '')), options.maxCodeLines);
+            case 'CODE':
+                return `\`${decode(node.rawText)}\``;
+            case 'BR':
+                return '\n';
+            default:
+                return inner();
+        }
+    }).join('');
+}
+/**
+ * Render the text of a comment as markdown
+ * @param commentTextDiv - HTML element containing the comment text
+ * @param options - Render options
+ * @param options.linkStyle - One of LINK_STYLES, defaults to inline
+ * @param options.links - Link registry for the footnotes, shared across the thread
+ * @param options.maxCodeLines - Maximum number of lines of a code block
+ * @returns Markdown text, with paragraphs separated by blank lines
+ */
+export function renderCommentMarkdown(commentTextDiv, { linkStyle = 'inline', links = null, maxCodeLines = DEFAULT_MAX_CODE_LINES } = {}) {
+    const markdown = renderNodes(commentTextDiv.childNodes, { linkStyle, links, maxCodeLines });
+    // Trim the paragraphs, except inside code blocks
+    return markdown
+        .split(/(\n```\n[\s\S]*?\n```\n)/)
+        .map((part, index) => index % 2 === 1
+            ? part
+            : part.split('\n').map(line => line.trim()).join('\n'))
+        .join('')
+        .replace(/\n{3,}/g, '\n\n')
+        .trim();
+}
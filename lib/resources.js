@@ -0,0 +1,272 @@
+/**
+ * MCP resources of the HN threads and feeds, and the subscriptions that poll the threads for new comments
+ * - hn://item/{id}: the formatted thread, to attach a discussion as context without a tool call
+ * - hn://item/{id}/raw: the structured comments as JSON
+ * - hn://front/top: the stories of the front page
+ */
+import { downloadPostComments } from './fetch-comments.js';
+import { fetchHNItem, downloadStories, formatStories } from './fetch-stories.js';
+import { downloadFirebaseTree, getCommentIds } from './data-sources.js';
+import { formatComments } from './format-comments.js';
+import { formatPostDetails, formatSubthreadContext } from './format-prompt.js';
+/**
+ * Subscription configuration, initialized from the environment variables:
+ * - HN_POLL_INTERVAL: interval between two checks of a subscribed thread in seconds, defaults to 60
+ * - HN_MAX_SUBSCRIPTIONS: maximum number of subscribed resources per client, defaults to 10
+ */
+const subscriptionConfig = {
+    pollInterval: Number(process.env.HN_POLL_INTERVAL ?? 60),
+    maxSubscriptions: Number(process.env.HN_MAX_SUBSCRIPTIONS ?? 10)
+};
+// Lower bound on the poll interval, to be gentle with HN
+const MIN_POLL_INTERVAL = 10;
+// Number of stories of the front page resource
+const FRONT_PAGE_SIZE = 30;
+/**
+ * Static resources, listed by resources/list
+ */
+export const RESOURCES = [
+    {
+        uri: 'hn://front/top',
+        name: 'Hacker News front page',
+        description: 'The top stories of Hacker News, one line per story with its ID, points, comment count and age',
+        mimeType: 'text/plain'
+    }
+];
+/**
+ * Resource templates, listed by resources/templates/list
+ */
+export const RESOURCE_TEMPLATES = [
+    {
+        uriTemplate: 'hn://item/{id}',
+        name: 'Hacker News thread',
+        description: 'The post details and comments of a thread, one line per comment with its hierarchy path, score, replies, downvotes and author. With the ID of a comment, its subthread. Subscribe to be notified of new comments.',
+        mimeType: 'text/plain'
+    },
+    {
+        uriTemplate: 'hn://item/{id}/raw',
+        name: 'Hacker News thread comments (JSON)',
+        description: 'The structured comments of a thread as a JSON array: id, path, author, text, score, replies, downvotes, parentId, position, createdAt and age',
+        mimeType: 'application/json'
+    }
+];
+/**
+ * Override the subscription configuration, e.g. from command line options
+ * @param overrides - Configuration values to override
+ */
+export function configureSubscriptions(overrides) {
+    Object.entries(overrides).forEach(([key, value]) => {
+        if (value !== undefined) {
+            subscriptionConfig[key] = value;
+        }
+    });
+}
+/**
+ * Get the current subscription configuration
+ * @returns Subscription configuration
+ */
+export function getSubscriptionConfig() {
+    return { ...subscriptionConfig };
+}
+/**
+ * Parse the URI of a resource
+ * @param uri - Resource URI
+ * @returns Item resource with its ID and whether it is the raw JSON, or the front page resource
+ */
+export function parseResourceUri(uri) {
+    const itemMatch = /^hn:\/\/item\/(\d+)(\/raw)?$/.exec(uri);
+    if (itemMatch) {
+        return { type: 'item', itemId: itemMatch[1], raw: Boolean(itemMatch[2]) };
+    }
+    if (uri === 'hn://front/top') {
+        return { type: 'front', feed: 'top' };
+    }
+    throw new Error(`Unknown resource: ${uri}. Use hn://item/{id}, hn://item/{id}/raw or hn://front/top`);
+}
+/**
+ * Format a thread for the hn://item/{id} resource: its title, details and comments
+ * @param post - Post data from downloadPostComments
+ * @param comments - Structured comments
+ * @param links - Footnote links of the thread
+ * @returns Formatted thread
+ */
+function formatThread(post, comments, links) {
+    let formattedThread = `Hacker News thread: ${post.title}\n`;
+    formattedThread += `https://news.ycombinator.com/item?id=${post.id}\n`;
+    const details = formatPostDetails(post);
+    if (details) {
+        formattedThread += `${details}\n`;
+    }
+    if (post.subthread) {
+        formattedThread += `\nSubthread of comment ${post.subthread.rootComment.id}, with its parent comments:\n${formatSubthreadContext(post.subthread)}`;
+    }
+    formattedThread += `\nComments, as [hierarchy_path] (score: 1000 to 0) <replies> {downvotes} author: text:\n`;
+    formattedThread += formatComments(comments, links);
+    return formattedThread;
+}
+/**
+ * Read a resource
+ * @param uri - Resource URI
+ * @param options - Read options
+ * @param options.noCache - Bypass the cache, for the subscribed threads whose update notifications announce comments the cache does not have yet
+ * @param options.signal - Signal cancelling the downloads
+ * @returns Contents of the resources/read result
+ */
+export async function readResource(uri, { noCache = false, signal } = {}) {
+    const resource = parseResourceUri(uri);
+    if (resource.type === 'front') {
+        const stories = await downloadStories(resource.feed, { limit: FRONT_PAGE_SIZE, signal });
+        return [{ uri, mimeType: 'text/plain', text: formatStories(stories) }];
+    }
+    const { post, postComments, links } = await downloadPostComments(resource.itemId, { noCache, signal });
+    if (resource.raw) {
+        return [{ uri, mimeType: 'application/json', text: JSON.stringify(postComments, null, 2) }];
+    }
+    return [{ uri, mimeType: 'text/plain', text: formatThread(post, postComments, links) }];
+}
+/**
+ * Get the state of a thread from the official HN API, compared between two checks by hasNewComments
+ * A story is a single request, with its comment count and the IDs of its top-level comments.
+ * A comment has no comment count, so its subtree is walked for the IDs of all its replies.
+ * @param itemId - Item ID
+ * @returns Comment count and comment IDs
+ */
+async function fetchThreadState(itemId) {
+    const item = await fetchHNItem(itemId, { noCache: true });
+    if (!item) {
+        throw new Error(`Item ${itemId} does not exist`);
+    }
+    if (item.type === 'comment') {
+        const commentIds = getCommentIds(await downloadFirebaseTree(itemId, { noCache: true }));
+        return { commentCount: commentIds.size, commentIds };
+    }
+    return { commentCount: item.descendants ?? 0, commentIds: new Set(item.kids ?? []) };
+}
+/**
+ * Check if a thread has new comments since the previous check
+ * A new comment ID tells of a new comment even when another one was deleted meanwhile, and the count tells of the new replies of a story.
+ * @param previous - Thread state of the previous check, see fetchThreadState
+ * @param current - Thread state of this check
+ * @returns True if comments were added
+ */
+function hasNewComments(previous, current) {
+    return current.commentCount > previous.commentCount
+        || [...current.commentIds].some(commentId => !previous.commentIds.has(commentId));
+}
+/**
+ * Create the subscriptions of an MCP client, polling the subscribed threads for new comments
+ * Threads are polled once per item, whether the formatted or the raw resource (or both) is subscribed.
+ * @param onUpdated - Called with the URI of each subscribed resource whose thread has new comments
+ * @returns Subscriptions with subscribe, unsubscribe, isSubscribed and close functions
+ */
+export function createSubscriptions(onUpdated) {
+    // Pollers by item ID, with the subscribed URIs of the item
+    const pollers = new Map();
+    let subscriptionCount = 0;
+    async function poll(poller) {
+        // Skip a check while the previous one is still running
+        if (poller.polling) {
+            return;
+        }
+        poller.polling = true;
+        try {
+            const state = await fetchThreadState(poller.itemId);
+            if (hasNewComments(poller.state, state)) {
+                poller.uris.forEach(uri => onUpdated(uri));
+            }
+            poller.state = state;
+        }
+        catch (error) {
+            // The next check tries again
+            console.error(`Error polling item ${poller.itemId}:`, error instanceof Error ? error.message : error);
+        }
+        finally {
+            poller.polling = false;
+        }
+    }
+    return {
+        /**
+         * Subscribe to a thread resource, checking that the item exists
+         * @param uri - hn://item/{id} or hn://item/{id}/raw
+         */
+        async subscribe(uri) {
+            const resource = parseResourceUri(uri);
+            if (resource.type !== 'item') {
+                throw new Error(`Only the thread resources can be subscribed to, not ${uri}`);
+            }
+            const poller = pollers.get(resource.itemId);
+            if (poller?.uris.has(uri)) {
+                // A subscription still checking its item succeeds or fails with it
+                await poller.ready;
+                return;
+            }
+            if (subscriptionCount >= subscriptionConfig.maxSubscriptions) {
+                throw new Error(`Too many subscriptions, at most ${subscriptionConfig.maxSubscriptions} resources can be subscribed to`);
+            }
+            subscriptionCount++;
+            if (poller) {
+                poller.uris.add(uri);
+                await poller.ready;
+                return;
+            }
+            // The poller is registered before its first check, so that concurrent subscriptions to the item share it
+            const newPoller = { itemId: resource.itemId, uris: new Set([uri]), state: null, polling: false, timer: null };
+            pollers.set(resource.itemId, newPoller);
+            newPoller.ready = fetchThreadState(resource.itemId).then(state => {
+                newPoller.state = state;
+            });
+            try {
+                await newPoller.ready;
+            }
+            catch (error) {
+                // None of the subscriptions to a missing item are kept
+                if (pollers.get(resource.itemId) === newPoller) {
+                    pollers.delete(resource.itemId);
+                    subscriptionCount -= newPoller.uris.size;
+                }
+                throw error;
+            }
+            // Unsubscribed or closed during the first check
+            if (pollers.get(resource.itemId) !== newPoller) {
+                return;
+            }
+            const interval = Math.max(subscriptionConfig.pollInterval, MIN_POLL_INTERVAL) * 1000;
+            newPoller.timer = setInterval(() => poll(newPoller), interval);
+            // Polling alone does not keep the process alive
+            newPoller.timer.unref();
+        },
+        /**
+         * Unsubscribe from a resource, stopping the polling of its thread once no resource of the thread is subscribed
+         * @param uri - Subscribed resource URI
+         */
+        unsubscribe(uri) {
+            const resource = parseResourceUri(uri);
+            const poller = resource.type === 'item' ? pollers.get(resource.itemId) : null;
+            if (!poller?.uris.delete(uri)) {
+                return;
+            }
+            subscriptionCount--;
+            if (poller.uris.size === 0) {
+                clearInterval(poller.timer);
+                pollers.delete(resource.itemId);
+            }
+        },
+        /**
+         * Check if the thread of a resource is subscribed, in which case it is read without the cache
+         * @param uri - Resource URI
+         * @returns True if a resource of the same item is subscribed
+         */
+        isSubscribed(uri) {
+            const resource = parseResourceUri(uri);
+            return resource.type === 'item' && pollers.has(resource.itemId);
+        },
+        /**
+         * Stop polling all the threads, when the client disconnects
+         */
+        close() {
+            pollers.forEach(poller => clearInterval(poller.timer));
+            pollers.clear();
+            subscriptionCount = 0;
+        }
+    };
+}
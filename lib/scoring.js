@@ -0,0 +1,182 @@
+/**
+ * Comment scoring strategies
+ * A strategy gives each comment a value between 0 and MAX_SCORE, which is then reduced according to the downvotes of the comment.
+ * - position: the rank of the comment on the HN page, i.e. the ranking by the community (default)
+ * - engagement: the size of the reply subtree of the comment, weighted by the length of the comment
+ * - recency: the rank of the comment, boosted for the comments posted late, which had less time to collect upvotes
+ * - blend: a weighted mix of the three strategies above
+ */
+const MAX_SCORE = 1000;
+const MAX_DOWNVOTES = 10;
+// Comment length at which the engagement weight of the text starts to grow noticeably
+const ENGAGEMENT_TEXT_LENGTH = 200;
+// Weights of the blend strategy when none are given
+export const DEFAULT_BLEND_WEIGHTS = { position: 0.5, engagement: 0.3, recency: 0.2 };
+/**
+ * Score the comments by their rank on the HN page
+ * @param comments - Structured comments, sorted by position
+ * @returns Values by comment ID
+ */
+function getPositionValues(comments) {
+    return new Map(comments.map(comment => [
+        comment.id,
+        MAX_SCORE - (comment.position * MAX_SCORE / comments.length)
+    ]));
+}
+/**
+ * Scale values so that the highest one is MAX_SCORE
+ * @param values - Values by comment ID
+ * @returns Scaled values by comment ID
+ */
+function scaleToMaxScore(values) {
+    const maxValue = Math.max(...values.values());
+    if (!(maxValue > 0)) {
+        return new Map([...values.keys()].map(id => [id, 0]));
+    }
+    return new Map([...values].map(([id, value]) => [id, value / maxValue * MAX_SCORE]));
+}
+/**
+ * Score the comments by the number of replies in their subtree, weighted by the length of the comment
+ * @param comments - Structured comments
+ * @returns Values by comment ID
+ */
+function getEngagementValues(comments) {
+    const commentsById = new Map(comments.map(comment => [comment.id, comment]));
+    const descendantCounts = new Map(comments.map(comment => [comment.id, 0]));
+    comments.forEach(comment => {
+        let parent = commentsById.get(comment.parentId);
+        while (parent) {
+            descendantCounts.set(parent.id, descendantCounts.get(parent.id) + 1);
+            parent = commentsById.get(parent.parentId);
+        }
+    });
+    return scaleToMaxScore(new Map(comments.map(comment => [
+        comment.id,
+        (1 + descendantCounts.get(comment.id)) * (1 + Math.log10(1 + comment.text.length / ENGAGEMENT_TEXT_LENGTH))
+    ])));
+}
+/**
+ * Score the comments by their rank, boosted up to twice for the comments posted at the end of the discussion
+ * @param comments - Structured comments
+ * @param postCreatedAt - Time the post was submitted (ISO date), defaults to the time of the first comment
+ * @returns Values by comment ID
+ */
+function getRecencyValues(comments, postCreatedAt) {
+    const positionValues = getPositionValues(comments);
+    const times = comments
+        .map(comment => Date.parse(comment.createdAt))
+        .filter(time => !Number.isNaN(time));
+    const postTime = Date.parse(postCreatedAt);
+    const start = Number.isNaN(postTime) ? Math.min(...times) : postTime;
+    const span = Math.max(...times) - start;
+    return scaleToMaxScore(new Map(comments.map(comment => {
+        const time = Date.parse(comment.createdAt);
+        const lateness = span > 0 && !Number.isNaN(time) ? Math.min(Math.max((time - start) / span, 0), 1) : 0;
+        return [comment.id, positionValues.get(comment.id) * (1 + lateness)];
+    })));
+}
+/**
+ * Score the comments with a weighted mix of the position, engagement and recency strategies
+ * @param comments - Structured comments
+ * @param postCreatedAt - Time the post was submitted (ISO date)
+ * @param weights - Weights of the strategies
+ * @returns Values by comment ID
+ */
+function getBlendValues(comments, postCreatedAt, weights) {
+    const strategyValues = {
+        position: getPositionValues(comments),
+        engagement: getEngagementValues(comments),
+        recency: getRecencyValues(comments, postCreatedAt)
+    };
+    const totalWeight = Object.values(weights).reduce((sum, weight) => sum + weight, 0);
+    return scaleToMaxScore(new Map(comments.map(comment => [
+        comment.id,
+        Object.entries(weights)
+            .reduce((sum, [strategy, weight]) => sum + weight * strategyValues[strategy].get(comment.id), 0) / totalWeight
+    ])));
+}
+/**
+ * Scoring strategies, each with its description for the system prompt and its value function
+ */
+const strategies = {
+    position: {
+        description: 'Higher scores indicate more upvotes from the community and content quality',
+        getValues: (comments) => getPositionValues(comments)
+    },
+    engagement: {
+        description: 'Higher scores indicate comments that generated more discussion: large reply subtrees and long, detailed comments. A high score does not mean the community agreed with the comment',
+        getValues: (comments) => getEngagementValues(comments)
+    },
+    recency: {
+        description: 'Higher scores indicate more upvotes from the community, as ranked by Hacker News, boosted for comments posted late in the discussion, which had less time to collect upvotes',
+        getValues: (comments, { postCreatedAt }) => getRecencyValues(comments, postCreatedAt)
+    },
+    blend: {
+        description: 'Scores mix the community ranking, the amount of discussion generated (reply subtree size and comment length) and a boost for late comments',
+        getValues: (comments, { postCreatedAt, weights }) => getBlendValues(comments, postCreatedAt, weights)
+    }
+};
+export const SCORING_STRATEGIES = Object.keys(strategies);
+/**
+ * Parse the weights of the blend strategy
+ * @param weights - Weights as an object or a string like "position=0.5,engagement=0.3,recency=0.2". Strategies left out weigh 0.
+ * @returns Weights of the position, engagement and recency strategies, DEFAULT_BLEND_WEIGHTS when none are given
+ */
+export function parseBlendWeights(weights) {
+    if (weights === undefined || weights === null || weights === '') {
+        return { ...DEFAULT_BLEND_WEIGHTS };
+    }
+    const entries = typeof weights === 'string'
+        ? weights.split(',').map(entry => entry.split('=').map(part => part.trim()))
+        : Object.entries(weights);
+    const parsed = { position: 0, engagement: 0, recency: 0 };
+    entries.forEach(([strategy, weight]) => {
+        if (!(strategy in parsed)) {
+            throw new Error(`Unknown blend weight "${strategy}". Use: ${Object.keys(parsed).join(', ')}`);
+        }
+        const value = Number(weight);
+        if (weight === '' || !Number.isFinite(value) || value < 0) {
+            throw new Error(`The blend weight of ${strategy} must be a non-negative number`);
+        }
+        parsed[strategy] = value;
+    });
+    if (Object.values(parsed).every(value => value === 0)) {
+        throw new Error('At least one blend weight must be positive');
+    }
+    return parsed;
+}
+/**
+ * Get the description of the scores for the system prompt
+ * @param strategy - Scoring strategy
+ * @returns Description of what higher scores mean
+ */
+export function getScoreDescription(strategy = 'position') {
+    return strategies[strategy].description;
+}
+/**
+ * Score the comments with a strategy, setting their `score` between 0 and 1000
+ * The score is reduced by a tenth for each downvote, as downvotes show comments that do not follow the HN guidelines.
+ * @param comments - Structured comments, sorted by position
+ * @param options - Scoring options
+ * @param options.strategy - One of SCORING_STRATEGIES, defaults to position
+ * @param options.weights - Weights of the blend strategy, see parseBlendWeights
+ * @param options.postCreatedAt - Time the post was submitted (ISO date), used by the recency strategy
+ * @returns The same comments, scored
+ */
+export function scoreComments(comments, { strategy = 'position', weights, postCreatedAt } = {}) {
+    if (!strategies[strategy]) {
+        throw new Error(`Unknown scoring strategy "${strategy}". Use one of: ${SCORING_STRATEGIES.join(', ')}`);
+    }
+    if (comments.length === 0) {
+        return comments;
+    }
+    const values = strategies[strategy].getValues(comments, { postCreatedAt, weights: parseBlendWeights(weights) });
+    comments.forEach(comment => {
+        const downvotes = comment.downvotes || 0;
+        const defaultScore = Math.floor(values.get(comment.id));
+        const penaltyPerDownvote = defaultScore / MAX_DOWNVOTES;
+        const penalty = penaltyPerDownvote * downvotes;
+        comment.score = Math.floor(Math.max(defaultScore - penalty, 0));
+    });
+    return comments;
+}
@@ -0,0 +1,163 @@
+/**
+ * Functions for searching Hacker News with the Algolia search API
+ */
+import { httpFetch } from './http-client.js';
+import { formatAge, getDomain, htmlToText } from './utils.js';
+import { getCacheConfig } from './cache.js';
+/**
+ * Tags accepted by the Algolia search API. author_<username> and story_<id> are also accepted.
+ */
+export const SEARCH_TAGS = ['story', 'comment', 'poll', 'pollopt', 'show_hn', 'ask_hn', 'front_page'];
+/**
+ * Sort orders: by relevance (search endpoint) or most recent first (search_by_date endpoint)
+ */
+export const SEARCH_SORTS = ['relevance', 'date'];
+/**
+ * Check if a tag is accepted by the Algolia search API
+ * @param tag - Tag to validate
+ * @returns True if the tag is valid
+ */
+export function isValidSearchTag(tag) {
+    return SEARCH_TAGS.includes(tag) || /^author_[\w-]+$/.test(tag) || /^story_\d+$/.test(tag);
+}
+/**
+ * Convert a date to a Unix timestamp in seconds
+ * @param date - Date string (e.g. 2024-01-31) or timestamp in seconds
+ * @returns Unix timestamp
+ */
+function toTimestamp(date) {
+    if (typeof date === 'number') {
+        return date;
+    }
+    const time = Date.parse(date);
+    if (Number.isNaN(time)) {
+        throw new Error(`Invalid date: ${date}`);
+    }
+    return Math.floor(time / 1000);
+}
+/**
+ * Convert an Algolia hit to a search result
+ * @param hit - Algolia hit
+ * @returns Normalized search result
+ */
+function toSearchResult(hit) {
+    const isComment = hit._tags?.includes('comment');
+    const storyId = isComment ? String(hit.story_id) : hit.objectID;
+    return {
+        id: hit.objectID,
+        type: isComment ? 'comment' : 'story',
+        title: isComment ? hit.story_title : hit.title,
+        url: (isComment ? hit.story_url : hit.url) || null,
+        domain: getDomain(isComment ? hit.story_url : hit.url),
+        author: hit.author,
+        points: hit.points ?? null,
+        commentCount: isComment ? null : (hit.num_comments || 0),
+        text: htmlToText(isComment ? hit.comment_text : hit.story_text),
+        createdAt: hit.created_at,
+        age: formatAge(hit.created_at_i),
+        storyId,
+        parentId: isComment ? String(hit.parent_id) : null,
+        // Can be passed as the post_url of get_hn_post_formatted_comments
+        postUrl: `https://news.ycombinator.com/item?id=${storyId}`,
+        itemUrl: `https://news.ycombinator.com/item?id=${hit.objectID}`
+    };
+}
+/**
+ * Search Hacker News stories and comments
+ * @param query - Full text query, can be empty to only filter
+ * @param options - Search options
+ * @param options.tags - Tags that must all match, e.g. ['story', 'author_pg']
+ * @param options.sort - One of SEARCH_SORTS
+ * @param options.createdAfter - Only items created after this date
+ * @param options.createdBefore - Only items created before this date
+ * @param options.minPoints - Only items with at least this many points
+ * @param options.minComments - Only stories with at least this many comments
+ * @param options.page - Page number, starting at 0
+ * @param options.hitsPerPage - Number of results per page
+ * @param options.searchAttributes - Only match the query against these attributes, e.g. ['url']
+ * @param options.signal - Signal cancelling the search
+ * @returns Search results and pagination
+ */
+export async function searchHN(query, {
+    tags = [],
+    sort = 'relevance',
+    createdAfter,
+    createdBefore,
+    minPoints,
+    minComments,
+    page = 0,
+    hitsPerPage = 20,
+    searchAttributes = [],
+    signal
+} = {}) {
+    if (!SEARCH_SORTS.includes(sort)) {
+        throw new Error(`Unknown sort "${sort}". Use one of: ${SEARCH_SORTS.join(', ')}`);
+    }
+    const invalidTag = tags.find(tag => !isValidSearchTag(tag));
+    if (invalidTag) {
+        throw new Error(`Invalid tag "${invalidTag}". Use one of: ${SEARCH_TAGS.join(', ')}, author_<username> or story_<id>`);
+    }
+    const numericFilters = [];
+    if (createdAfter !== undefined) {
+        numericFilters.push(`created_at_i>=${toTimestamp(createdAfter)}`);
+    }
+    if (createdBefore !== undefined) {
+        numericFilters.push(`created_at_i<${toTimestamp(createdBefore)}`);
+    }
+    if (minPoints !== undefined) {
+        numericFilters.push(`points>=${minPoints}`);
+    }
+    if (minComments !== undefined) {
+        numericFilters.push(`num_comments>=${minComments}`);
+    }
+    const params = new URLSearchParams({
+        query: query || '',
+        page: String(page),
+        hitsPerPage: String(hitsPerPage)
+    });
+    if (tags.length > 0) {
+        params.set('tags', tags.join(','));
+    }
+    if (numericFilters.length > 0) {
+        params.set('numericFilters', numericFilters.join(','));
+    }
+    if (searchAttributes.length > 0) {
+        params.set('restrictSearchableAttributes', searchAttributes.join(','));
+    }
+    // Search results are not cached, so there is nothing to serve offline
+    if (getCacheConfig().offline) {
+        throw new Error('Search is not available in offline mode');
+    }
+    const endpoint = sort === 'date' ? 'search_by_date' : 'search';
+    const { body: searchData } = await httpFetch(`https://hn.algolia.com/api/v1/${endpoint}?${params}`, {
+        signal,
+        description: 'search results'
+    });
+    return {
+        query: query || '',
+        hits: searchData.hits.map(toSearchResult),
+        totalHits: searchData.nbHits,
+        page: searchData.page,
+        pageCount: searchData.nbPages,
+        hitsPerPage: searchData.hitsPerPage
+    };
+}
+/**
+ * Format the search results as one line per result
+ * @param results - Search results from searchHN
+ * @returns Formatted search results
+ */
+export function formatSearchResults(results) {
+    let formattedResults = `${results.totalHits} results (page ${results.page + 1} of ${Math.max(results.pageCount, 1)})\n`;
+    results.hits.forEach((hit, index) => {
+        const number = results.page * results.hitsPerPage + index + 1;
+        if (hit.type === 'comment') {
+            formattedResults += `${number}. comment [${hit.id}] by ${hit.author}, ${hit.age}, on story [${hit.storyId}] "${hit.title}": ${hit.text}\n`;
+        }
+        else {
+            const domain = hit.domain ? ` (${hit.domain})` : '';
+            formattedResults += `${number}. story [${hit.id}] ${hit.title}${domain} - ${hit.points} points by ${hit.author}, ${hit.commentCount} comments, ${hit.age}\n`;
+        }
+    });
+    return formattedResults;
+}
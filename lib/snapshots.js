@@ -0,0 +1,239 @@
+/**
+ * Functions for storing snapshots of threads and finding what changed since a snapshot
+ */
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import { downloadPostComments } from './fetch-comments.js';
+import { formatComment } from './format-comments.js';
+// Snapshot directory, can be set with the HN_SNAPSHOT_DIR environment variable
+const SNAPSHOT_DIR = process.env.HN_SNAPSHOT_DIR || path.join(os.homedir(), '.local', 'share', 'hn-companion-mcp', 'snapshots');
+// Number of snapshots kept per post, the oldest ones are removed
+const MAX_SNAPSHOTS_PER_POST = 20;
+// Numeric timestamps from this value on are in milliseconds (from 2001-09-09 in milliseconds, year 33658 in seconds)
+const UNIX_MILLISECONDS_THRESHOLD = 1e12;
+/**
+ * Get the directory holding the snapshots of a post
+ * @param postId - Post ID
+ * @returns Directory path
+ */
+function getPostSnapshotDir(postId) {
+    return path.join(SNAPSHOT_DIR, String(postId).replace(/\D/g, ''));
+}
+/**
+ * List the snapshots of a post
+ * @param postId - Post ID
+ * @returns Snapshot IDs, oldest first. A snapshot ID is the time it was taken, in milliseconds.
+ */
+export async function listSnapshots(postId) {
+    const files = await fs.readdir(getPostSnapshotDir(postId)).catch(() => []);
+    return files
+        .filter(file => /^\d+\.json$/.test(file))
+        .map(file => file.replace(/\.json$/, ''))
+        .sort((a, b) => Number(a) - Number(b));
+}
+/**
+ * Read a snapshot of a post
+ * @param postId - Post ID
+ * @param snapshotId - Snapshot ID
+ * @returns Snapshot or null if it does not exist
+ */
+export async function readSnapshot(postId, snapshotId) {
+    try {
+        return JSON.parse(await fs.readFile(path.join(getPostSnapshotDir(postId), `${snapshotId}.json`), 'utf8'));
+    }
+    catch (error) {
+        return null;
+    }
+}
+/**
+ * Save a snapshot of the comments of a post
+ * The snapshot ID is the time in milliseconds, moved to the next free millisecond when another snapshot of the post took it.
+ * @param post - Post data
+ * @param comments - Structured comments
+ * @param scoring - Scoring strategy and blend weights the comments were scored with, so that the next diff scores the comments the same way
+ * @returns Saved snapshot
+ */
+export async function saveSnapshot(post, comments, scoring = { strategy: 'position' }) {
+    const takenAt = Date.now();
+    const snapshot = {
+        id: String(takenAt),
+        postId: post.id,
+        postTitle: post.title,
+        takenAt: new Date(takenAt).toISOString(),
+        scoring,
+        comments: {}
+    };
+    comments.forEach(comment => {
+        snapshot.comments[comment.id] = {
+            path: comment.path,
+            score: comment.score,
+            position: comment.position,
+            createdAt: comment.createdAt
+        };
+    });
+    const postDir = getPostSnapshotDir(post.id);
+    await fs.mkdir(postDir, { recursive: true });
+    // The exclusive flag fails on an existing file, so that concurrent snapshots in the same millisecond do not overwrite each other
+    for (;;) {
+        try {
+            await fs.writeFile(path.join(postDir, `${snapshot.id}.json`), JSON.stringify(snapshot), { flag: 'wx' });
+            break;
+        }
+        catch (error) {
+            if (error.code !== 'EEXIST') {
+                throw error;
+            }
+            snapshot.id = String(Number(snapshot.id) + 1);
+        }
+    }
+    // Only keep the most recent snapshots
+    const snapshotIds = await listSnapshots(post.id);
+    for (const oldId of snapshotIds.slice(0, -MAX_SNAPSHOTS_PER_POST)) {
+        await fs.rm(path.join(postDir, `${oldId}.json`), { force: true });
+    }
+    return snapshot;
+}
+/**
+ * Read the latest readable snapshot of a post, skipping the ones that cannot be read (e.g. a file cut short by a crash)
+ * @param postId - Post ID
+ * @returns Snapshot or null if the post has no readable snapshot
+ */
+async function readLatestSnapshot(postId) {
+    const snapshotIds = await listSnapshots(postId);
+    for (const snapshotId of snapshotIds.reverse()) {
+        const snapshot = await readSnapshot(postId, snapshotId);
+        if (snapshot) {
+            return snapshot;
+        }
+    }
+    return null;
+}
+/**
+ * Get the map of hierarchy paths to comment IDs of the latest snapshot of a post, i.e. the paths of the last time the thread was formatted
+ * @param postId - Post ID
+ * @returns Map of paths to comment IDs with the time the snapshot was taken, or null if the post has no readable snapshot
+ */
+export async function getLatestPathIdMapping(postId) {
+    const snapshot = await readLatestSnapshot(postId);
+    if (!snapshot) {
+        return null;
+    }
+    const mapping = {};
+    Object.entries(snapshot.comments).forEach(([commentId, comment]) => {
+        mapping[comment.path] = Number(commentId);
+    });
+    return { mapping, takenAt: snapshot.takenAt };
+}
+/**
+ * Resolve the baseline of a diff: a snapshot of the post, or a point in time
+ * @param postId - Post ID
+ * @param since - Snapshot ID, date, unix timestamp in seconds or milliseconds, or undefined for the latest snapshot
+ * @returns Baseline with either a snapshot or a time, or null if the post has no readable snapshot yet
+ */
+export async function resolveBaseline(postId, since) {
+    if (since === undefined || since === null || since === '' || since === 'latest') {
+        const snapshot = await readLatestSnapshot(postId);
+        return snapshot ? { snapshot, since: snapshot.takenAt } : null;
+    }
+    const isTimestamp = /^\d+$/.test(String(since));
+    const snapshot = isTimestamp ? await readSnapshot(postId, since) : null;
+    if (snapshot) {
+        return { snapshot, since: snapshot.takenAt };
+    }
+    // Digits that are not a snapshot are a unix timestamp: in milliseconds like the snapshot IDs, or in seconds like the HN API
+    const time = isTimestamp
+        ? Number(since) * (Number(since) >= UNIX_MILLISECONDS_THRESHOLD ? 1 : 1000)
+        : Date.parse(since);
+    if (Number.isNaN(time)) {
+        throw new Error(`"${since}" is neither a snapshot of post ${postId} nor a valid date`);
+    }
+    return { snapshot: null, since: new Date(time).toISOString() };
+}
+/**
+ * Find the comments added since a baseline, along with their ancestors for context
+ * Score changes are only reported against the snapshots that record their scoring strategy, with which the current comments must be scored.
+ * @param comments - Current structured comments, in thread order
+ * @param baseline - Baseline from resolveBaseline
+ * @returns Diff entries in thread order, each with the comment, its status (new or context) and its changes since the snapshot
+ */
+export function diffComments(comments, baseline) {
+    const sinceTime = Date.parse(baseline.since);
+    const isNew = baseline.snapshot
+        ? comment => !baseline.snapshot.comments[comment.id]
+        : comment => Boolean(comment.createdAt) && Date.parse(comment.createdAt) > sinceTime;
+    // The snapshots saved before the strategy was recorded may have been scored with another one
+    const comparableScores = Boolean(baseline.snapshot?.scoring);
+    const commentsById = new Map(comments.map(comment => [comment.id, comment]));
+    const includedIds = new Set();
+    const newIds = new Set();
+    comments.filter(isNew).forEach(comment => {
+        newIds.add(comment.id);
+        // Include the ancestor chain of the new comment for context
+        let current = comment;
+        while (current && !includedIds.has(current.id)) {
+            includedIds.add(current.id);
+            current = commentsById.get(current.parentId);
+        }
+    });
+    return comments
+        .filter(comment => includedIds.has(comment.id))
+        .map(comment => {
+            const previous = baseline.snapshot?.comments[comment.id];
+            return {
+                comment,
+                status: newIds.has(comment.id) ? 'new' : 'context',
+                previousPath: previous && previous.path !== comment.path ? previous.path : null,
+                previousScore: previous && comparableScores && previous.score !== comment.score ? previous.score : null
+            };
+        });
+}
+/**
+ * Format the diff entries as one line per comment.
+ * New comments are marked with NEW, their ancestors with CONTEXT, followed by the changes since the snapshot.
+ * @param entries - Diff entries from diffComments
+ * @returns Formatted diff
+ */
+export function formatDiff(entries) {
+    let formattedDiff = '';
+    entries.forEach(({ comment, status, previousPath, previousScore }) => {
+        const changes = [];
+        if (previousPath !== null) {
+            changes.push(`moved from [${previousPath}]`);
+        }
+        if (previousScore !== null) {
+            changes.push(`score ${previousScore} -> ${comment.score}`);
+        }
+        const marker = status === 'new' ? 'NEW' : 'CONTEXT';
+        const changeText = changes.length > 0 ? ` (${changes.join(', ')})` : '';
+        formattedDiff += `${marker}${changeText} ${formatComment(comment)}\n`;
+    });
+    return formattedDiff;
+}
+/**
+ * Download a thread and find the comments added since a snapshot or a point in time
+ * @param postId - Post ID
+ * @param options - Options
+ * @param options.since - Snapshot ID or date/timestamp, defaults to the latest snapshot
+ * @param options.save - Save a snapshot of the current thread, to be used as the baseline of the next diff
+ * @param options.signal - Signal cancelling the download
+ * @returns Post, diff entries (null if there is no baseline yet), baseline time, new comment count and saved snapshot ID
+ */
+export async function downloadThreadUpdates(postId, { since, save = true, signal } = {}) {
+    const baseline = await resolveBaseline(postId, since);
+    // The comments are scored like the snapshot, so that the score changes are not artefacts of another scoring strategy
+    const scoring = baseline?.snapshot?.scoring ?? { strategy: 'position' };
+    // Always get the latest comments, the cache would hide the updates
+    const { post, postComments } = await downloadPostComments(postId, { noCache: true, scoring, signal });
+    const entries = baseline ? diffComments(postComments, baseline) : null;
+    const savedSnapshot = save ? await saveSnapshot(post, postComments, scoring) : null;
+    return {
+        post,
+        commentCount: postComments.length,
+        entries,
+        since: baseline?.since ?? null,
+        baselineSnapshotId: baseline?.snapshot?.id ?? null,
+        newCommentCount: entries ? entries.filter(entry => entry.status === 'new').length : 0,
+        snapshotId: savedSnapshot?.id ?? null
+    };
+}
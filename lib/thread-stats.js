@@ -0,0 +1,181 @@
+/**
+ * Functions for computing the statistics of a discussion from its structured comments, without an LLM
+ */
+// Number of entries in the top lists (most active authors, most replied comments)
+const TOP_COUNT = 5;
+// Minimum length of an alternating chain between two authors to be reported as a flame war
+const MIN_FLAME_WAR_LENGTH = 6;
+// Threads spanning more than this are bucketed by day instead of by hour in the timeline
+const MAX_HOURLY_SPAN = 48 * 3600 * 1000;
+/**
+ * Get the number of replies in the subtree of each comment, at any depth
+ * @param comments - Structured comments
+ * @param commentsById - Comments by ID
+ * @returns Descendant counts by comment ID
+ */
+function countDescendants(comments, commentsById) {
+    const descendantCounts = new Map(comments.map(comment => [comment.id, 0]));
+    comments.forEach(comment => {
+        let parent = commentsById.get(comment.parentId);
+        while (parent) {
+            descendantCounts.set(parent.id, descendantCounts.get(parent.id) + 1);
+            parent = commentsById.get(parent.parentId);
+        }
+    });
+    return descendantCounts;
+}
+/**
+ * Build the timeline of the comments: the number of comments posted per hour, or per day for long threads
+ * @param comments - Structured comments
+ * @returns Bucket unit and the comment count of each bucket, from the first comment to the last one
+ */
+function buildTimeline(comments) {
+    const times = comments
+        .map(comment => Date.parse(comment.createdAt))
+        .filter(time => !Number.isNaN(time))
+        .sort((a, b) => a - b);
+    if (times.length === 0) {
+        return { unit: 'hour', buckets: [] };
+    }
+    const unit = times[times.length - 1] - times[0] > MAX_HOURLY_SPAN ? 'day' : 'hour';
+    const bucketSize = unit === 'day' ? 24 * 3600 * 1000 : 3600 * 1000;
+    const firstBucket = Math.floor(times[0] / bucketSize) * bucketSize;
+    const counts = new Array(Math.floor((times[times.length - 1] - firstBucket) / bucketSize) + 1).fill(0);
+    times.forEach(time => {
+        counts[Math.floor((time - firstBucket) / bucketSize)]++;
+    });
+    return {
+        unit,
+        buckets: counts.map((count, index) => ({
+            start: new Date(firstBucket + index * bucketSize).toISOString(),
+            count
+        }))
+    };
+}
+/**
+ * Find the flame wars: reply chains of at least MIN_FLAME_WAR_LENGTH comments where two authors keep replying to each other
+ * @param comments - Structured comments, in thread order
+ * @param commentsById - Comments by ID
+ * @returns Flame wars with their two authors, length and first and last paths, longest first
+ */
+function findFlameWars(comments, commentsById) {
+    // Length of the alternating chain ending at each comment
+    const chainLengths = new Map();
+    comments.forEach(comment => {
+        const parent = commentsById.get(comment.parentId);
+        const grandparent = parent ? commentsById.get(parent.parentId) : null;
+        let length = 1;
+        if (parent && parent.author !== comment.author) {
+            length = grandparent?.author === comment.author && chainLengths.get(parent.id) >= 2
+                ? chainLengths.get(parent.id) + 1
+                : 2;
+        }
+        chainLengths.set(comment.id, length);
+    });
+    // Only report the chains that are not continued by a reply
+    const continued = new Set(comments
+        .filter(comment => chainLengths.get(comment.id) > 2)
+        .map(comment => comment.parentId));
+    return comments
+        .filter(comment => chainLengths.get(comment.id) >= MIN_FLAME_WAR_LENGTH && !continued.has(comment.id))
+        .map(comment => {
+            const length = chainLengths.get(comment.id);
+            let first = comment;
+            for (let i = 1; i < length; i++) {
+                first = commentsById.get(first.parentId);
+            }
+            // The chain alternates, so the other author is the one of the last comment or of its parent
+            const otherAuthor = comment.author !== first.author ? comment.author : commentsById.get(comment.parentId).author;
+            return {
+                authors: [first.author, otherAuthor],
+                length,
+                firstPath: first.path,
+                lastPath: comment.path,
+                firstCommentId: first.id
+            };
+        })
+        .sort((a, b) => b.length - a.length);
+}
+/**
+ * Compute the statistics of a discussion
+ * @param comments - Structured comments from downloadPostComments, in thread order
+ * @returns Statistics: participants, deepest reply chain, most active authors, most replied top-level comments,
+ * downvoted share, comment timeline and flame wars
+ */
+export function computeThreadStats(comments) {
+    const commentsById = new Map(comments.map(comment => [comment.id, comment]));
+    const descendantCounts = countDescendants(comments, commentsById);
+    const commentsByAuthor = new Map();
+    comments.forEach(comment => {
+        commentsByAuthor.set(comment.author, (commentsByAuthor.get(comment.author) ?? 0) + 1);
+    });
+    const deepest = comments.reduce((deepestComment, comment) => !deepestComment || comment.path.split('.').length > deepestComment.path.split('.').length
+        ? comment
+        : deepestComment, null);
+    const downvotedCount = comments.filter(comment => comment.downvotes > 0).length;
+    return {
+        commentCount: comments.length,
+        participantCount: commentsByAuthor.size,
+        topLevelCount: comments.filter(comment => !comment.path.includes('.')).length,
+        deepestChain: deepest ? {
+            depth: deepest.path.split('.').length,
+            path: deepest.path,
+            commentId: deepest.id
+        } : null,
+        mostActiveAuthors: [...commentsByAuthor]
+            .sort((a, b) => b[1] - a[1])
+            .slice(0, TOP_COUNT)
+            .map(([author, commentCount]) => ({ author, commentCount })),
+        mostRepliedTopLevel: comments
+            .filter(comment => !comment.path.includes('.'))
+            .sort((a, b) => descendantCounts.get(b.id) - descendantCounts.get(a.id) || a.position - b.position)
+            .slice(0, TOP_COUNT)
+            .filter(comment => descendantCounts.get(comment.id) > 0)
+            .map(comment => ({
+                path: comment.path,
+                commentId: comment.id,
+                author: comment.author,
+                replies: comment.replies,
+                totalReplies: descendantCounts.get(comment.id)
+            })),
+        downvoted: {
+            count: downvotedCount,
+            share: comments.length > 0 ? Math.round(downvotedCount / comments.length * 1000) / 1000 : 0
+        },
+        timeline: buildTimeline(comments),
+        flameWars: findFlameWars(comments, commentsById)
+    };
+}
+/**
+ * Format the statistics as a short markdown report
+ * @param postTitle - Post title
+ * @param stats - Statistics from computeThreadStats
+ * @returns Markdown report with a table of the key numbers
+ */
+export function formatThreadStats(postTitle, stats) {
+    const formatAuthors = stats.mostActiveAuthors
+        .map(({ author, commentCount }) => `${author} (${commentCount})`)
+        .join(', ');
+    const formatReplied = stats.mostRepliedTopLevel
+        .map(comment => `[${comment.path}] ${comment.author} (${comment.totalReplies})`)
+        .join(', ');
+    const peak = stats.timeline.buckets.reduce((peakBucket, bucket) => !peakBucket || bucket.count > peakBucket.count ? bucket : peakBucket, null);
+    let report = `## Statistics of "${postTitle}"\n\n`;
+    report += '| Statistic | Value |\n';
+    report += '| --- | --- |\n';
+    report += `| Comments | ${stats.commentCount} (${stats.topLevelCount} top-level) |\n`;
+    report += `| Participants | ${stats.participantCount} |\n`;
+    report += `| Deepest reply chain | ${stats.deepestChain ? `${stats.deepestChain.depth} levels, [${stats.deepestChain.path}]` : '-'} |\n`;
+    report += `| Most active authors | ${formatAuthors || '-'} |\n`;
+    report += `| Most replied top-level comments | ${formatReplied || '-'} |\n`;
+    report += `| Downvoted comments | ${stats.downvoted.count} (${(stats.downvoted.share * 100).toFixed(1)}%) |\n`;
+    report += `| Busiest ${stats.timeline.unit} | ${peak ? `${peak.start.slice(0, 16).replace('T', ' ')} (${peak.count} comments)` : '-'} |\n`;
+    report += `| Flame wars | ${stats.flameWars.length} |\n`;
+    if (stats.flameWars.length > 0) {
+        report += '\nFlame wars (two authors replying to each other):\n';
+        stats.flameWars.forEach(flameWar => {
+            report += `- ${flameWar.authors.join(' vs ')}: ${flameWar.length} comments, [${flameWar.firstPath}] to [${flameWar.lastPath}]\n`;
+        });
+    }
+    return report;
+}
@@ -0,0 +1,192 @@
+/**
+ * Functions for fitting the formatted comments into a token budget
+ */
+import { formatComment, formatLinkFootnotes } from './format-comments.js';
+/**
+ * Budget strategies
+ * - top_score: keep the highest scoring comments, along with their ancestors, that fit in the budget
+ * - chunk: split the thread into ordered chunks of top-level subtrees, each fitting in the budget
+ */
+export const BUDGET_STRATEGIES = ['top_score', 'chunk'];
+// Average number of characters per token for English text
+const CHARS_PER_TOKEN = 4;
+/**
+ * Estimate the number of tokens for a text
+ * @param text - Text to estimate
+ * @returns Estimated token count
+ */
+export function estimateTokens(text) {
+    return Math.ceil(text.length / CHARS_PER_TOKEN);
+}
+/**
+ * Get the path of the parent comment from the hierarchy path
+ * @param path - Hierarchy path, e.g. 1.2.3
+ * @returns Parent path, e.g. 1.2, or null for top-level comments
+ */
+function getParentPath(path) {
+    const index = path.lastIndexOf('.');
+    return index === -1 ? null : path.slice(0, index);
+}
+/**
+ * Keep the highest scoring comments that fit in the budget.
+ * A comment is only kept together with all its ancestors, so that the hierarchy paths stay coherent.
+ * @param comments - Structured comments, with their estimated tokens
+ * @param maxTokens - Token budget
+ * @returns Kept comments in their original order, and the dropped comments
+ */
+function selectTopScoreComments(comments, maxTokens) {
+    const commentsByPath = new Map(comments.map(comment => [comment.path, comment]));
+    const selectedPaths = new Set();
+    let usedTokens = 0;
+    // Higher scores first; on ties, keep the thread order
+    const byScore = [...comments].sort((a, b) => b.score - a.score || a.position - b.position);
+    for (const comment of byScore) {
+        if (selectedPaths.has(comment.path)) {
+            continue;
+        }
+        // Collect this comment and the ancestors not selected yet
+        const missing = [];
+        let path = comment.path;
+        while (path && !selectedPaths.has(path)) {
+            const missingComment = commentsByPath.get(path);
+            if (missingComment) {
+                missing.push(missingComment);
+            }
+            path = getParentPath(path);
+        }
+        const missingTokens = missing.reduce((sum, c) => sum + c.tokens, 0);
+        if (usedTokens + missingTokens > maxTokens) {
+            continue;
+        }
+        missing.forEach(c => selectedPaths.add(c.path));
+        usedTokens += missingTokens;
+    }
+    return {
+        kept: comments.filter(comment => selectedPaths.has(comment.path)),
+        dropped: comments.filter(comment => !selectedPaths.has(comment.path))
+    };
+}
+/**
+ * Split the comments into ordered chunks that each fit in the budget.
+ * Top-level subtrees are kept together in a chunk; only a subtree larger than the budget is split on its own.
+ * The chunks continuing a split subtree start with the ancestors of their first comment, flagged with `context`,
+ * so that the replies are read in their conversation. The ancestors count in the budget of the chunk, which only goes over it when they leave no room for the comment.
+ * @param comments - Structured comments in thread order, with their estimated tokens
+ * @param maxTokens - Token budget per chunk
+ * @returns Array of chunks, each an array of comments
+ */
+function splitIntoChunks(comments, maxTokens) {
+    // Group the comments by their top-level subtree
+    const subtrees = [];
+    comments.forEach(comment => {
+        const topLevel = comment.path.split('.')[0];
+        const current = subtrees[subtrees.length - 1];
+        if (current && current.topLevel === topLevel) {
+            current.comments.push(comment);
+            current.tokens += comment.tokens;
+        }
+        else {
+            subtrees.push({ topLevel, comments: [comment], tokens: comment.tokens });
+        }
+    });
+    const chunks = [];
+    let currentChunk = [];
+    let currentTokens = 0;
+    function closeChunk() {
+        if (currentChunk.length > 0) {
+            chunks.push(currentChunk);
+        }
+        currentChunk = [];
+        currentTokens = 0;
+    }
+    subtrees.forEach(subtree => {
+        if (currentTokens + subtree.tokens <= maxTokens) {
+            currentChunk.push(...subtree.comments);
+            currentTokens += subtree.tokens;
+            return;
+        }
+        closeChunk();
+        if (subtree.tokens <= maxTokens) {
+            currentChunk.push(...subtree.comments);
+            currentTokens = subtree.tokens;
+            return;
+        }
+        // The subtree alone is over the budget, so split it at comment boundaries
+        const commentsByPath = new Map(subtree.comments.map(comment => [comment.path, comment]));
+        subtree.comments.forEach(comment => {
+            if (currentTokens + comment.tokens > maxTokens) {
+                closeChunk();
+                // In thread order, the ancestors of the later comments of the chunk are either in it or ancestors of its first comment
+                const ancestors = [];
+                for (let path = getParentPath(comment.path); path; path = getParentPath(path)) {
+                    if (commentsByPath.has(path)) {
+                        ancestors.unshift({ ...commentsByPath.get(path), context: true });
+                    }
+                }
+                currentChunk.push(...ancestors);
+                currentTokens = ancestors.reduce((sum, ancestor) => sum + ancestor.tokens, 0);
+            }
+            currentChunk.push(comment);
+            currentTokens += comment.tokens;
+        });
+        closeChunk();
+    });
+    closeChunk();
+    return chunks;
+}
+/**
+ * Fit the comments into a token budget
+ * @param comments - Structured comments in thread order
+ * @param options - Budget options
+ * @param options.maxTokens - Token budget for the formatted comments (per chunk for the chunk strategy)
+ * @param options.strategy - One of BUDGET_STRATEGIES, defaults to top_score
+ * @param options.formatOptions - Format options of the comment lines, see formatComment, so that the estimates match the output (e.g. with showTime)
+ * @param options.links - Footnote links of the thread, the footnotes a comment references are counted with it
+ * @param options.chunkPromptTokens - Tokens of the prompt around the comments of each chunk, reserved from the budget of the chunk strategy
+ * @returns For top_score, the kept comments; for chunk, the chunks of comments, see splitIntoChunks. Both with the budget metadata.
+ */
+export function applyTokenBudget(comments, { maxTokens, strategy = 'top_score', formatOptions = {}, links = [], chunkPromptTokens = 0 }) {
+    if (!BUDGET_STRATEGIES.includes(strategy)) {
+        throw new Error(`Unknown budget strategy "${strategy}". Use one of: ${BUDGET_STRATEGIES.join(', ')}`);
+    }
+    if (!Number.isInteger(maxTokens) || maxTokens <= 0) {
+        throw new Error(`Invalid token budget: ${maxTokens}`);
+    }
+    const withTokens = comments.map(comment => ({
+        ...comment,
+        // A footnote shared by several comments is counted for each of them, which errs on the side of the budget
+        tokens: estimateTokens(`${formatComment(comment, formatOptions)}\n${formatLinkFootnotes([comment], links)}`)
+    }));
+    const totalTokens = withTokens.reduce((sum, comment) => sum + comment.tokens, 0);
+    if (strategy === 'chunk') {
+        if (chunkPromptTokens >= maxTokens) {
+            throw new Error(`Token budget of ${maxTokens} is too small: the prompt of each chunk already takes ${chunkPromptTokens} tokens`);
+        }
+        const chunks = splitIntoChunks(withTokens, maxTokens - chunkPromptTokens);
+        return {
+            chunks,
+            budget: {
+                strategy,
+                maxTokens,
+                chunkPromptTokens,
+                totalTokens,
+                chunkCount: chunks.length,
+                chunkTokens: chunks.map(chunk => chunk.reduce((sum, comment) => sum + comment.tokens, 0))
+            }
+        };
+    }
+    const { kept, dropped } = selectTopScoreComments(withTokens, maxTokens);
+    return {
+        comments: kept,
+        budget: {
+            strategy,
+            maxTokens,
+            totalTokens,
+            keptTokens: kept.reduce((sum, comment) => sum + comment.tokens, 0),
+            keptCount: kept.length,
+            droppedCount: dropped.length,
+            droppedTokens: dropped.reduce((sum, comment) => sum + comment.tokens, 0),
+            droppedPaths: dropped.map(comment => comment.path)
+        }
+    };
+}
@@ -0,0 +1,162 @@
+/**
+ * Functions for finding and merging all the HN discussions of the same article URL
+ */
+import { getPostId } from './utils.js';
+import { fetchHNItem } from './fetch-stories.js';
+import { searchHN } from './search.js';
+import { downloadPostComments } from './fetch-comments.js';
+import { formatComments } from './format-comments.js';
+import { getMultiThreadSystemPrompt, getMultiThreadUserPrompt, createCommentPathIdMapping } from './format-prompt.js';
+// Pages of 100 search results read to find the submissions of a URL, Algolia does not return more than 1000 results
+const MAX_SUBMISSION_PAGES = 10;
+/**
+ * Normalize a URL so that submissions of the same article match,
+ * ignoring the protocol, www. prefix, trailing slash and fragment
+ * Only the host is case-insensitive: the path and query can tell articles apart, e.g. ?v=AbC and ?v=abc on YouTube.
+ * @param url - Article URL
+ * @returns Normalized URL
+ */
+export function normalizeArticleUrl(url) {
+    try {
+        const urlObj = new URL(url);
+        // The URL parser already lowercases the host
+        const host = urlObj.hostname.replace(/^www\./, '');
+        const pathname = urlObj.pathname.replace(/\/+$/, '');
+        return `${host}${pathname}${urlObj.search}`;
+    }
+    catch (error) {
+        return null;
+    }
+}
+/**
+ * Get the article URL from the input, which is either the article URL or an HN item (URL or ID) linking to it
+ * @param input - Article URL, HN item URL or HN item ID
+ * @param options - Request options
+ * @param options.signal - Signal cancelling the request
+ * @returns Article URL
+ */
+export async function resolveArticleUrl(input, { signal } = {}) {
+    const postId = getPostId(input);
+    if (!postId) {
+        if (!normalizeArticleUrl(input)) {
+            throw new Error(`Invalid article URL: ${input}`);
+        }
+        return input;
+    }
+    const item = await fetchHNItem(postId, { signal });
+    if (!item?.url) {
+        throw new Error(`HN item ${postId} does not link to an article`);
+    }
+    return item.url;
+}
+/**
+ * Find all the HN submissions of an article URL
+ * @param articleUrl - Article URL
+ * @param options - Request options
+ * @param options.signal - Signal cancelling the search
+ * @returns Submissions as search results, oldest first, and whether the search results were truncated at MAX_SUBMISSION_PAGES
+ */
+export async function findUrlSubmissions(articleUrl, { signal } = {}) {
+    const normalizedUrl = normalizeArticleUrl(articleUrl);
+    const hits = [];
+    let pageCount = 1;
+    let page = 0;
+    for (; page < Math.min(pageCount, MAX_SUBMISSION_PAGES); page++) {
+        const results = await searchHN(articleUrl, {
+            tags: ['story'],
+            searchAttributes: ['url'],
+            page,
+            hitsPerPage: 100,
+            signal
+        });
+        hits.push(...results.hits);
+        pageCount = results.pageCount;
+    }
+    // The search is fuzzy, so only keep the exact matches
+    const submissions = hits
+        .filter(hit => hit.url && normalizeArticleUrl(hit.url) === normalizedUrl)
+        .sort((a, b) => Date.parse(a.createdAt) - Date.parse(b.createdAt));
+    return { submissions, truncated: page < pageCount };
+}
+/**
+ * Download all the discussions of an article URL
+ * @param input - Article URL, HN item URL or HN item ID
+ * @param options - Download options
+ * @param options.maxThreads - Maximum number of discussions to download, the ones with the most comments are kept
+ * @param options.minComments - Skip submissions with fewer comments
+ * @param options.signal - Signal cancelling the downloads
+ * @returns Article URL, all the submissions found, whether the search was truncated (submissionsTruncated),
+ * and the downloaded threads (oldest first) labelled T1, T2, ...
+ */
+export async function downloadUrlDiscussions(input, { maxThreads = 5, minComments = 1, signal } = {}) {
+    const articleUrl = await resolveArticleUrl(input, { signal });
+    const { submissions, truncated: submissionsTruncated } = await findUrlSubmissions(articleUrl, { signal });
+    const selected = submissions
+        .filter(submission => submission.commentCount >= minComments)
+        .sort((a, b) => b.commentCount - a.commentCount)
+        .slice(0, maxThreads)
+        .sort((a, b) => Date.parse(a.createdAt) - Date.parse(b.createdAt));
+    if (selected.length === 0) {
+        throw new Error(`No HN discussions found for ${articleUrl}`);
+    }
+    const threads = [];
+    // One thread at a time, to be gentle with HN
+    for (const submission of selected) {
+        const { post, postComments } = await downloadPostComments(submission.id, { signal });
+        threads.push({
+            label: `T${threads.length + 1}`,
+            post,
+            submission,
+            postComments
+        });
+    }
+    return { articleUrl, submissions, submissionsTruncated, threads };
+}
+/**
+ * Prefix the hierarchy paths of the comments of a thread with its label, e.g. [T2:1.3]
+ * @param thread - Downloaded thread
+ * @returns Comments with prefixed paths
+ */
+export function prefixThreadPaths(thread) {
+    return thread.postComments.map(comment => ({
+        ...comment,
+        path: `${thread.label}:${comment.path}`
+    }));
+}
+/**
+ * Format the threads with a header for each thread, followed by its comments with prefixed paths
+ * @param threads - Downloaded threads
+ * @returns Formatted threads
+ */
+export function formatUrlDiscussions(threads) {
+    let formattedThreads = '';
+    threads.forEach(thread => {
+        const { submission } = thread;
+        formattedThreads += `=== [${thread.label}] "${thread.post.title}" - submitted ${submission.createdAt.slice(0, 10)} (${submission.age}) by ${submission.author}, ${submission.points} points, ${thread.postComments.length} comments ===\n`;
+        formattedThreads += formatComments(prefixThreadPaths(thread));
+    });
+    return formattedThreads;
+}
+/**
+ * Format all the discussions of an article for Claude
+ * @param articleUrl - Article URL
+ * @param threads - Downloaded threads
+ * @returns Formatted data for Claude
+ */
+export function formatUrlDiscussionsForClaude(articleUrl, threads) {
+    const formattedThreads = formatUrlDiscussions(threads);
+    return {
+        systemPrompt: getMultiThreadSystemPrompt(),
+        userPrompt: getMultiThreadUserPrompt(articleUrl, formattedThreads, threads.length),
+        commentPathIdMapping: createCommentPathIdMapping(threads.flatMap(prefixThreadPaths)),
+        articleUrl,
+        threads: threads.map(thread => ({
+            label: thread.label,
+            postId: thread.post.id,
+            postTitle: thread.post.title,
+            createdAt: thread.submission.createdAt,
+            points: thread.submission.points,
+            commentCount: thread.postComments.length
+        }))
+    };
+}
@@ -0,0 +1,149 @@
+/**
+ * Functions for fetching the profiles of HN users and their recent comments and submissions
+ * Profiles come from the official HN API, the recent activity from the Algolia search with the author_<username> tag.
+ */
+import { fetchCached } from './cache.js';
+import { searchHN } from './search.js';
+import { formatAge, htmlToText } from './utils.js';
+import { NotFoundError, RequestCancelledError } from './http-client.js';
+// Upper bound on the authors annotated with their profile in a thread
+export const MAX_ANNOTATED_AUTHORS = 20;
+// Length of the about text in the profile lines of the annotated authors
+const ABOUT_EXCERPT_LENGTH = 200;
+/**
+ * Check if a username is valid on HN: letters, digits, dashes and underscores
+ * @param username - Username
+ * @returns True if the username is valid
+ */
+export function isValidUsername(username) {
+    return typeof username === 'string' && /^[\w-]{1,32}$/.test(username);
+}
+/**
+ * Fetch the profile of a user from the official HN API
+ * @param username - Username, case-sensitive
+ * @param options - Fetch options
+ * @param options.noCache - Bypass the cache
+ * @param options.signal - Signal cancelling the request
+ * @returns Profile with the username, creation date and age, karma, about text (as plain text) and number of submitted items
+ */
+export async function fetchUserProfile(username, { noCache = false, signal } = {}) {
+    if (!isValidUsername(username)) {
+        throw new Error(`Invalid username: ${username}`);
+    }
+    const url = `https://hacker-news.firebaseio.com/v0/user/${username}.json`;
+    const user = await fetchCached({
+        source: 'hn-api-user',
+        key: username,
+        url,
+        description: `user ${username}`,
+        noCache,
+        signal
+    });
+    // The HN API answers null for unknown users
+    if (!user) {
+        throw new NotFoundError(`Failed to fetch user ${username}: not found`, { url });
+    }
+    return {
+        username: user.id,
+        createdAt: new Date(user.created * 1000).toISOString(),
+        age: formatAge(user.created),
+        karma: user.karma ?? 0,
+        about: htmlToText(user.about),
+        submissionCount: user.submitted?.length ?? 0
+    };
+}
+/**
+ * Download the profile of a user with a page of their recent comments and of their recent submissions
+ * @param username - Username, case-sensitive
+ * @param options - Download options
+ * @param options.page - Page of the recent comments and submissions, starting at 0
+ * @param options.hitsPerPage - Number of comments and of submissions per page
+ * @param options.noCache - Bypass the cache for the profile
+ * @param options.signal - Signal cancelling the downloads
+ * @returns Profile (see fetchUserProfile), and the recent comments and submissions as search results (see searchHN), newest first
+ */
+export async function downloadUserProfile(username, { page = 0, hitsPerPage = 20, noCache = false, signal } = {}) {
+    const profile = await fetchUserProfile(username, { noCache, signal });
+    const searchOptions = { sort: 'date', page, hitsPerPage, signal };
+    const [comments, submissions] = await Promise.all([
+        searchHN('', { ...searchOptions, tags: ['comment', `author_${profile.username}`] }),
+        searchHN('', { ...searchOptions, tags: ['story', `author_${profile.username}`] })
+    ]);
+    return { profile, comments, submissions };
+}
+/**
+ * Format a profile as one line per field
+ * @param profile - Profile from fetchUserProfile
+ * @returns Formatted profile
+ */
+export function formatProfile(profile) {
+    let formattedProfile = `User: ${profile.username}\n`;
+    formattedProfile += `Created: ${profile.createdAt.slice(0, 10)} (${profile.age})\n`;
+    formattedProfile += `Karma: ${profile.karma}\n`;
+    formattedProfile += `Submissions: ${profile.submissionCount}\n`;
+    formattedProfile += `About: ${profile.about || '-'}\n`;
+    return formattedProfile;
+}
+/**
+ * Get the authors a summary of the thread is most likely to cite: the ones with the highest total score of their comments
+ * @param comments - Structured comments of the thread
+ * @param count - Number of authors
+ * @returns Authors with their comment count and total score, highest total score first
+ */
+export function getMostCitedAuthors(comments, count) {
+    const authors = new Map();
+    comments.forEach(comment => {
+        if (!comment.author) {
+            return;
+        }
+        const author = authors.get(comment.author) ?? { author: comment.author, commentCount: 0, totalScore: 0 };
+        author.commentCount++;
+        author.totalScore += comment.score;
+        authors.set(comment.author, author);
+    });
+    return [...authors.values()]
+        .sort((a, b) => b.totalScore - a.totalScore || b.commentCount - a.commentCount)
+        .slice(0, count);
+}
+/**
+ * Download the profiles of the authors a summary of the thread is most likely to cite
+ * Profiles are optional context: the authors whose profile cannot be fetched are left out.
+ * @param comments - Structured comments of the thread
+ * @param count - Number of authors, at most MAX_ANNOTATED_AUTHORS
+ * @param options - Download options
+ * @param options.noCache - Bypass the cache
+ * @param options.signal - Signal cancelling the downloads
+ * @returns Profiles with the comment count and total score of the author in the thread, highest total score first
+ */
+export async function downloadAuthorProfiles(comments, count, { noCache = false, signal } = {}) {
+    const authors = getMostCitedAuthors(comments, Math.min(count, MAX_ANNOTATED_AUTHORS));
+    const profiles = await Promise.all(authors.map(async ({ author, commentCount, totalScore }) => {
+        try {
+            const profile = await fetchUserProfile(author, { noCache, signal });
+            return { ...profile, commentCount, totalScore };
+        }
+        catch (error) {
+            if (error instanceof RequestCancelledError) {
+                throw error;
+            }
+            return null;
+        }
+    }));
+    return profiles.filter(Boolean);
+}
+/**
+ * Format the profiles of the annotated authors as one short line per author
+ * @param profiles - Profiles from downloadAuthorProfiles
+ * @returns Formatted profiles, e.g. "- user1: 12345 karma, member for 12 years, 8 comments in this thread. About: ..."
+ */
+export function formatAuthorProfiles(profiles) {
+    let formattedProfiles = '';
+    profiles.forEach(profile => {
+        const memberFor = profile.age.replace(/ ago$/, '');
+        const about = profile.about.length > ABOUT_EXCERPT_LENGTH
+            ? `${profile.about.slice(0, ABOUT_EXCERPT_LENGTH).trim()}...`
+            : profile.about;
+        formattedProfiles += `- ${profile.username}: ${profile.karma} karma, member for ${memberFor}, ${profile.commentCount} comment${profile.commentCount > 1 ? 's' : ''} in this thread.${about ? ` About: ${about}` : ''}\n`;
+    });
+    return formattedProfiles;
+}
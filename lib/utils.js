@@ -1,6 +1,7 @@
 /**
  * Utility functions for the HN Companion MCP
  */
+import { parse } from 'node-html-parser';
 /**
  * Extract a post ID from a Hacker News URL
  * @param url - HN URL (e.g., https://news.ycombinator.com/item?id=43448075)
@@ -42,4 +43,55 @@ export function getPostId(input) {
         return input;
     }
     return null;
+}
+/**
+ * Format a timestamp as a relative age, e.g. "3 hours ago"
+ * @param timestamp - Unix timestamp in seconds
+ * @param now - Current time in milliseconds, defaults to Date.now()
+ * @returns Relative age
+ */
+export function formatAge(timestamp, now = Date.now()) {
+    const seconds = Math.max(0, Math.floor(now / 1000 - timestamp));
+    const units = [
+        ['year', 365 * 24 * 3600],
+        ['month', 30 * 24 * 3600],
+        ['day', 24 * 3600],
+        ['hour', 3600],
+        ['minute', 60]
+    ];
+    for (const [unit, unitSeconds] of units) {
+        if (seconds >= unitSeconds) {
+            const count = Math.floor(seconds / unitSeconds);
+            return `${count} ${unit}${count > 1 ? 's' : ''} ago`;
+        }
+    }
+    return 'just now';
+}
+/**
+ * Get the domain of a URL, without the www. prefix
+ * @param url - URL
+ * @returns Domain or null if the URL is invalid
+ */
+export function getDomain(url) {
+    try {
+        return new URL(url).hostname.replace(/^www\./, '');
+    }
+    catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Convert an HTML snippet from the HN API (comment or story text) to plain text
+ * @param html - HTML snippet
+ * @returns Plain text on a single line
+ */
+export function htmlToText(html) {
+    if (!html) {
+        return '';
+    }
+    // Paragraphs are separated by <p> tags without closing tags
+    return parse(html.replace(/<p>/gi, ' ')).text
+        .replace(/\s+/g, ' ')
+        .trim();
 }
\ No newline at end of file
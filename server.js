@@ -1,9 +1,28 @@
 import { getPostId } from './lib/utils.js';
 import { downloadPostComments } from './lib/fetch-comments.js';
-import { getSystemPrompt, getUserPrompt } from './lib/format-prompt.js';
+import { getSystemPrompt, getPostUserPrompt, getReducePrompt, formatSubthreadContext, formatPostDetails, getDiffSystemPrompt, createCommentPathIdMapping, getPostMetadata } from './lib/format-prompt.js';
+import { formatComments } from './lib/format-comments.js';
+import { applyTokenBudget, BUDGET_STRATEGIES } from './lib/token-budget.js';
+import { downloadStories, formatStories, STORY_FEEDS } from './lib/fetch-stories.js';
+import { searchHN, formatSearchResults, SEARCH_SORTS, SEARCH_TAGS } from './lib/search.js';
+import { downloadUrlDiscussions, formatUrlDiscussions, formatUrlDiscussionsForClaude } from './lib/url-discussions.js';
+import { configureCache, clearCache } from './lib/cache.js';
+import { downloadThreadUpdates, formatDiff, saveSnapshot } from './lib/snapshots.js';
+import { linkCitations, formatCitationReport, resolveCitedComments, isValidPathIdMapping } from './lib/citations.js';
+import { RENDER_MODES, LINK_STYLES } from './lib/render-comment.js';
+import { SCORING_STRATEGIES, parseBlendWeights } from './lib/scoring.js';
+import { computeThreadStats, formatThreadStats } from './lib/thread-stats.js';
+import { fetchArticle, formatArticle, DEFAULT_ARTICLE_MAX_LENGTH } from './lib/article.js';
+import { downloadUserProfile, downloadAuthorProfiles, formatProfile, formatAuthorProfiles, isValidUsername, MAX_ANNOTATED_AUTHORS } from './lib/users.js';
+import { RESOURCES, RESOURCE_TEMPLATES, readResource, createSubscriptions, configureSubscriptions, getSubscriptionConfig } from './lib/resources.js';
+import { downloadJobListings, formatListingsCsv, HIRING_THREAD_KINDS, LISTING_FORMATS } from './lib/job-listings.js';
+import { DATA_SOURCES, DEFAULT_DATA_SOURCE } from './lib/data-sources.js';
+import { getTemplate, listStyles, loadTemplates, renderTemplate, DEFAULT_STYLE } from './lib/prompt-templates.js';
+import { FetchError, NotFoundError, RateLimitedError, UpstreamDownError, RequestCancelledError, configureHttpClient, getHttpClientConfig } from './lib/http-client.js';
 import { Server } from "@modelcontextprotocol/sdk/server/index.js";
 import { StdioServerTransport } from "@modelcontextprotocol/sdk/server/stdio.js";
-import { CallToolRequestSchema, ListToolsRequestSchema, ListPromptsRequestSchema, GetPromptRequestSchema, } from "@modelcontextprotocol/sdk/types.js";
+import { startHttpServer } from './lib/http-server.js';
+import { CallToolRequestSchema, ListToolsRequestSchema, ListPromptsRequestSchema, GetPromptRequestSchema, ListResourcesRequestSchema, ListResourceTemplatesRequestSchema, ReadResourceRequestSchema, SubscribeRequestSchema, UnsubscribeRequestSchema, } from "@modelcontextprotocol/sdk/types.js";
 
 const DEBUG = process.env.DEBUG === 'true';
 function log(message, data) {
@@ -13,125 +32,1369 @@ function log(message, data) {
 }
 
 /**
- * Create an MCP server that can fetch HN discussions and format it for summarization.
- * HN post ID or URL is passed as input to the server.
- * The server fetches the post and comments, formats the data, and outputs it for Claude to summarize.
- * The MCP also returns a system prompt and user prompt for Claude to use.
+ * Get the HN post ID from the `post_url` argument of a tool or prompt request
+ * @param args - Request arguments
+ * @returns Post ID
  */
-const server = new Server({
-    name: "HackerNews companion MCP server",
-    version: "0.1.0",
-}, {
-    capabilities: {
-        tools: {}
-    },
-});
+function getPostIdArgument(args) {
+    const post_url = String(args?.post_url ?? '').trim();
+    if (!post_url) {
+        throw new Error("PostURL is required");
+    }
+    const postId = getPostId(post_url);
+    if (!postId) {
+        throw new Error("Invalid post URL");
+    }
+    return postId;
+}
+
+/**
+ * Get the token budget options from the `max_tokens` and `budget_strategy` arguments of a tool request
+ * @param args - Request arguments
+ * @returns Budget options, or null if no budget was requested
+ */
+function getBudgetArguments(args) {
+    if (args?.max_tokens === undefined || args?.max_tokens === null) {
+        return null;
+    }
+    const maxTokens = Number(args.max_tokens);
+    if (!Number.isInteger(maxTokens) || maxTokens <= 0) {
+        throw new Error("max_tokens must be a positive integer");
+    }
+    const strategy = args.budget_strategy ?? 'top_score';
+    if (!BUDGET_STRATEGIES.includes(strategy)) {
+        throw new Error(`budget_strategy must be one of: ${BUDGET_STRATEGIES.join(', ')}`);
+    }
+    return { maxTokens, strategy };
+}
+
+/**
+ * Get the comment rendering options from the `render_mode` and `link_style` arguments of a tool request
+ * @param args - Request arguments
+ * @returns Render options for downloadPostComments
+ */
+function getRenderArguments(args) {
+    const mode = args?.render_mode ?? 'compact';
+    if (!RENDER_MODES.includes(mode)) {
+        throw new Error(`render_mode must be one of: ${RENDER_MODES.join(', ')}`);
+    }
+    const linkStyle = args?.link_style ?? 'inline';
+    if (!LINK_STYLES.includes(linkStyle)) {
+        throw new Error(`link_style must be one of: ${LINK_STYLES.join(', ')}`);
+    }
+    return { mode, linkStyle };
+}
+
+/**
+ * Get the scoring options from the `scoring_strategy` and `blend_weights` arguments of a tool request
+ * @param args - Request arguments
+ * @returns Scoring options for downloadPostComments, with the blend weights resolved for the blend strategy
+ */
+function getScoringArguments(args) {
+    const strategy = args?.scoring_strategy ?? 'position';
+    if (!SCORING_STRATEGIES.includes(strategy)) {
+        throw new Error(`scoring_strategy must be one of: ${SCORING_STRATEGIES.join(', ')}`);
+    }
+    if (strategy !== 'blend') {
+        return { strategy };
+    }
+    return { strategy, weights: parseBlendWeights(args?.blend_weights) };
+}
+
+/**
+ * Get the data source of the comment tree from the `data_source` argument of a tool request
+ * @param args - Request arguments
+ * @returns Data source for downloadPostComments
+ */
+function getDataSourceArgument(args) {
+    const source = args?.data_source ?? DEFAULT_DATA_SOURCE;
+    if (!DATA_SOURCES.includes(source)) {
+        throw new Error(`data_source must be one of: ${DATA_SOURCES.join(', ')}`);
+    }
+    return source;
+}
+
 /**
- * Handler that lists available tools.
- * Exposes the "get_hn_post_formatted_comments" tool that lets clients retrieve formatted HN post comments.
+ * Get an optional non-negative integer argument of a tool request
+ * @param args - Request arguments
+ * @param name - Argument name
+ * @param defaultValue - Value when the argument is not given
+ * @returns Argument value
  */
-server.setRequestHandler(ListToolsRequestSchema, async () => {
-    log(`ListToolsRequestSchema`);
+function getIntegerArgument(args, name, defaultValue) {
+    if (args?.[name] === undefined || args?.[name] === null) {
+        return defaultValue;
+    }
+    const value = Number(args[name]);
+    if (!Number.isInteger(value) || value < 0) {
+        throw new Error(`${name} must be a non-negative integer`);
+    }
+    return value;
+}
+
+/**
+ * Turn an error of the fetch layer into a tool result flagged with `isError`, telling the client what went wrong upstream
+ * Other errors are thrown again with the failed action, and reported as protocol errors.
+ * @param error - Caught error
+ * @param action - Failed action, e.g. "download comment post"
+ * @returns Tool result with isError, the error type and a hint on what to do
+ */
+function getToolErrorResult(error, action) {
+    if (!(error instanceof FetchError)) {
+        throw new Error(`Failed to ${action}: ${error.message}`);
+    }
+    let hint = '';
+    if (error instanceof NotFoundError) {
+        hint = 'Check that the ID or URL is correct.';
+    }
+    else if (error instanceof RateLimitedError) {
+        hint = `Hacker News is rate limiting the requests, try again ${error.retryAfter ? `in ${error.retryAfter} seconds` : 'in a few minutes'}.`;
+    }
+    else if (error instanceof UpstreamDownError) {
+        hint = 'Hacker News or Algolia is unavailable or not responding, try again later.';
+    }
+    else if (error instanceof RequestCancelledError) {
+        hint = 'The request was cancelled.';
+    }
     return {
-        tools: [
+        content: [
             {
-                name: "get_hn_post_formatted_comments",
-                description: "Retrieves and formats comments from a Hacker News discussion post for summarization by an LLM. Use the `hacker_news_summarization_user_prompt` prompts to generate a summary.",
-                inputSchema: {
-                    type: "object",
-                    properties: {
-                        post_url: {
-                            type: "string",
-                            description: "The URL or ID for the Hacker News post to analyze. Can be a full URL (https://news.ycombinator.com/item?id=43456723) or just the numeric post ID e.g. 43456723.",
+                type: "text",
+                text: `Failed to ${action}: ${error.message}. ${hint}`.trim()
+            }
+        ],
+        isError: true,
+        metadata: {
+            errorType: error.name,
+            status: error.status,
+            url: error.url
+        }
+    };
+}
+
+/**
+ * Create an MCP server that can fetch HN discussions and format it for summarization.
+ * HN post ID or URL is passed as input to the server.
+ * The server fetches the post and comments, formats the data, and outputs it for Claude to summarize.
+ * The MCP also returns a system prompt and user prompt for Claude to use.
+ * A new server is created per connection, so that the HTTP transport can serve several clients at once.
+ * @returns MCP server with all the handlers registered
+ */
+function createServer() {
+    const server = new Server({
+        name: "HackerNews companion MCP server",
+        version: "0.1.0",
+    }, {
+        capabilities: {
+            tools: {},
+            prompts: {},
+            resources: { subscribe: true }
+        },
+    });
+    // Subscribed threads are polled until the client unsubscribes or disconnects
+    const subscriptions = createSubscriptions(uri => {
+        log(`Resource updated: ${uri}`);
+        server.sendResourceUpdated({ uri })
+            .catch(error => console.error("Error sending resource update:", error));
+    });
+    server.onclose = () => subscriptions.close();
+    /**
+     * Handler that lists available tools.
+     * Exposes the "get_hn_post_formatted_comments" tool that lets clients retrieve formatted HN post comments,
+     * the "get_hn_stories" tool that lists the stories of the HN feeds, the "search_hn" tool that searches stories and comments,
+     * the "get_hn_url_discussions" tool that merges all the discussions of an article, the "get_hn_thread_updates" tool
+     * that returns the comments added since the thread was last read, the "get_hn_thread_stats" tool that computes
+     * the statistics of a thread, the "get_hn_user" tool that returns the profile and recent activity of a user,
+     * the "get_hn_job_listings" tool that extracts the listings of the hiring threads, the "link_summary_citations" tool that turns the [1.2.3] citations of a summary into links,
+     * and the "clear_hn_cache" tool.
+     */
+    server.setRequestHandler(ListToolsRequestSchema, async () => {
+        log(`ListToolsRequestSchema`);
+        // The styles include the user templates, so they are listed when the tools are
+        const styles = await listStyles();
+        return {
+            tools: [
+                {
+                    name: "get_hn_post_formatted_comments",
+                    description: "Retrieves and formats comments from a Hacker News discussion post for summarization by an LLM. Follow the instructions in the returned system prompt to generate a summary, or use the `summarize_hn_thread` prompt.",
+                    inputSchema: {
+                        type: "object",
+                        properties: {
+                            post_url: {
+                                type: "string",
+                                description: "The URL or ID for the Hacker News post to analyze. Can be a full URL (https://news.ycombinator.com/item?id=43456723) or just the numeric post ID e.g. 43456723. With the ID of a comment, only the subthread of that comment is returned, with paths relative to it.",
+                            },
+                            max_tokens: {
+                                type: "integer",
+                                description: "Optional token budget for the formatted comments. Use it for very large threads that would not fit in the context window.",
+                            },
+                            budget_strategy: {
+                                type: "string",
+                                enum: BUDGET_STRATEGIES,
+                                description: "How to fit the thread in `max_tokens`. 'top_score' (default) keeps the highest scoring comments along with their parent comments. 'chunk' splits the thread into parts of `max_tokens` each, to be summarized separately and merged with the returned reduce prompt.",
+                            },
+                            render_mode: {
+                                type: "string",
+                                enum: RENDER_MODES,
+                                description: "How to render the comment text. 'compact' (default) is plain text on a single line. 'markdown' keeps the links, code blocks, inline code and italics, on several lines when needed. Use 'markdown' for technical threads where the links and code matter.",
+                            },
+                            link_style: {
+                                type: "string",
+                                enum: LINK_STYLES,
+                                description: "How to render the links with `render_mode` 'markdown'. 'inline' (default) writes [text](url). 'footnotes' writes text[^1] and lists the URLs once after the comments, which saves tokens when the same links are repeated.",
+                            },
+                            show_time: {
+                                type: "boolean",
+                                description: "Add the time each comment was posted to the comment lines, to follow how the conversation developed over time.",
+                            },
+                            scoring_strategy: {
+                                type: "string",
+                                enum: SCORING_STRATEGIES,
+                                description: "How the comment scores are calculated. 'position' (default) follows the HN ranking and downvotes. 'engagement' favors large reply subtrees and long comments. 'recency' boosts the comments posted late, which had less time to be upvoted. 'blend' mixes the three with `blend_weights`. The scores also drive the 'top_score' budget strategy.",
+                            },
+                            blend_weights: {
+                                type: "object",
+                                properties: {
+                                    position: { type: "number" },
+                                    engagement: { type: "number" },
+                                    recency: { type: "number" }
+                                },
+                                description: "Weights of the 'blend' scoring strategy, e.g. {\"position\": 0.5, \"engagement\": 0.3, \"recency\": 0.2} (the default). Strategies left out weigh 0.",
+                            },
+                            include_article: {
+                                type: "boolean",
+                                description: "Also fetch the article the post links to and return its readable text, so that the summary can contrast the article with the community's reaction. When the article cannot be fetched (PDF, paywall, error), a note explains why and the comments are returned as usual.",
+                            },
+                            article_max_length: {
+                                type: "integer",
+                                description: `Maximum length of the article text in characters, with \`include_article\`. Defaults to ${DEFAULT_ARTICLE_MAX_LENGTH}.`,
+                            },
+                            annotate_authors: {
+                                type: "integer",
+                                description: `Also return a short profile line (karma, account age, start of the about text) for this many authors, the ones with the highest scoring comments, who are the most likely to be cited. Helps identify domain experts. At most ${MAX_ANNOTATED_AUTHORS}, defaults to 0.`,
+                            },
+                            data_source: {
+                                type: "string",
+                                enum: DATA_SOURCES,
+                                description: "Where the comment tree comes from. 'auto' (default) uses Algolia and falls back to the official HN API when Algolia fails or misses comments shown on the HN page, as happens on fresh threads. 'algolia' and 'firebase' (the official HN API) force a source. 'reconcile' fetches both and reports the comments missing from either of them in `metadata.dataSource`.",
+                            },
+                            style: {
+                                type: "string",
+                                enum: styles.map(style => style.name),
+                                description: `Summary style, i.e. the output structure asked for in the \`systemPrompt\`: ${styles.map(style => `'${style.name}' (${style.description})`).join(', ')}. Defaults to '${DEFAULT_STYLE}'.`,
+                            },
+                            no_cache: {
+                                type: "boolean",
+                                description: "Bypass the local response cache and fetch the latest comments from Hacker News.",
+                            }
+                        },
+                        required: ["post_url"],
+                    },
+                    outputSchema: {
+                        type: "object",
+                        properties: {
+                            content: {
+                                type: "array",
+                                description: "Contains the post title and details ('postDetails'), or the context of a subthread ('subthreadContext'), the formatted comments ('formattedComments'), the system prompt ('systemPrompt') and the instructions of the summary style ('instructions'), then the reduce prompt ('reducePrompt') when the comments are split into parts - Follow the instructions in the `systemPrompt` on interpreting the formatted comments.",
+                            },
+                            metadata: {
+                                type: "object",
+                                description: "Contains post ID (postId), post details (post: article url and domain, author, points, createdAt, age and the text of Ask HN style posts), comment count (commentCount), the scoring strategy of the comments (scoring), the summary style (style), the linked article (article) with \`include_article\`, the profiles of the annotated authors (authorProfiles) with \`annotate_authors\`, number of HN comment pages read (pageCount), the source of the comment tree (dataSource: the source used, why it fell back to the HN API, and the comments missing from either source with 'reconcile'), the parser diagnostics (diagnostics: comment counts of the HN pages and of the tree, whether the pages were truncated at the page limit, comments missing from either of them, and a warning when the pages were truncated or they disagree past the threshold, a sign that the HN markup changed), original post URL (postUrl), the subthread context (subthread) when the ID is a comment, and the map of hierarchy paths to comment IDs (commentPathIdMapping) to link back to the comments. With `max_tokens`, also the budget details (budget): the dropped comments for 'top_score' or the number of chunks for 'chunk'."
+                            }
+                        }
+                    }
+                },
+                {
+                    name: "get_hn_stories",
+                    description: "Lists the current stories of a Hacker News feed (front page, newest, best, Ask HN, Show HN or jobs) with their title, URL, points, author, comment count and age. The `postUrl` of each story can be passed to `get_hn_post_formatted_comments`.",
+                    inputSchema: {
+                        type: "object",
+                        properties: {
+                            feed: {
+                                type: "string",
+                                enum: STORY_FEEDS,
+                                description: "The feed to list. 'top' (default) is the front page.",
+                            },
+                            limit: {
+                                type: "integer",
+                                description: "Maximum number of stories to return. Defaults to 30.",
+                            },
+                            min_points: {
+                                type: "integer",
+                                description: "Only return stories with at least this many points.",
+                            },
+                            min_comments: {
+                                type: "integer",
+                                description: "Only return stories with at least this many comments.",
+                            }
+                        }
+                    },
+                    outputSchema: {
+                        type: "object",
+                        properties: {
+                            content: {
+                                type: "array",
+                                description: "Contains the list of stories, one per line, with the story ID in square brackets.",
+                            },
+                            metadata: {
+                                type: "object",
+                                description: "Contains the feed (feed) and the stories (stories) with their ID, title, url, points, author, commentCount, createdAt, age and postUrl."
+                            }
+                        }
+                    }
+                },
+                {
+                    name: "search_hn",
+                    description: "Searches Hacker News stories and comments, with filters on type, author, date, points and comment count. The `postUrl` of each result (the story, or the story a comment belongs to) can be passed to `get_hn_post_formatted_comments`.",
+                    inputSchema: {
+                        type: "object",
+                        properties: {
+                            query: {
+                                type: "string",
+                                description: "Full text search query. Can be empty to only use the filters.",
+                            },
+                            tags: {
+                                type: "array",
+                                items: { type: "string" },
+                                description: `Tags that must all match: ${SEARCH_TAGS.join(', ')}, author_<username> (e.g. author_pg) or story_<id> (comments of a story).`,
+                            },
+                            sort: {
+                                type: "string",
+                                enum: SEARCH_SORTS,
+                                description: "'relevance' (default) or 'date' for the most recent first.",
+                            },
+                            created_after: {
+                                type: "string",
+                                description: "Only items created on or after this date, e.g. 2024-01-31.",
+                            },
+                            created_before: {
+                                type: "string",
+                                description: "Only items created before this date, e.g. 2024-12-31.",
+                            },
+                            min_points: {
+                                type: "integer",
+                                description: "Only items with at least this many points.",
+                            },
+                            min_comments: {
+                                type: "integer",
+                                description: "Only stories with at least this many comments.",
+                            },
+                            page: {
+                                type: "integer",
+                                description: "Page of results, starting at 0.",
+                            },
+                            hits_per_page: {
+                                type: "integer",
+                                description: "Number of results per page, up to 100. Defaults to 20.",
+                            }
+                        }
+                    },
+                    outputSchema: {
+                        type: "object",
+                        properties: {
+                            content: {
+                                type: "array",
+                                description: "Contains the search results, one per line, with the item ID in square brackets. Comment results include the ID of their story.",
+                            },
+                            metadata: {
+                                type: "object",
+                                description: "Contains the results (hits) with their id, type, title, url, author, points, commentCount, text, createdAt, storyId, parentId and postUrl, and the pagination (totalHits, page, pageCount)."
+                            }
                         }
+                    }
+                },
+                {
+                    name: "get_hn_url_discussions",
+                    description: "Finds all the Hacker News submissions of the same article URL and formats their comments together for summarization by an LLM, to compare how opinions changed between submissions. Follow the instructions in the returned system prompt to generate a summary.",
+                    inputSchema: {
+                        type: "object",
+                        properties: {
+                            url: {
+                                type: "string",
+                                description: "The article URL, or the URL or ID of a Hacker News post linking to the article.",
+                            },
+                            max_threads: {
+                                type: "integer",
+                                description: "Maximum number of discussions to include, the ones with the most comments are kept. Defaults to 5.",
+                            }
+                        },
+                        required: ["url"],
                     },
-                    required: ["post_url"],
+                    outputSchema: {
+                        type: "object",
+                        properties: {
+                            content: {
+                                type: "array",
+                                description: "Contains the formatted discussions ('formattedDiscussions'), each with a header line and comments with prefixed paths like [T2:1.3], and the system prompt ('systemPrompt').",
+                            },
+                            metadata: {
+                                type: "object",
+                                description: "Contains the article URL (articleUrl), the number of submissions found (submissionCount), whether the search results were cut at Algolia's 1000 results limit (submissionsTruncated) and the included discussions (threads) with their label, postId, postTitle, createdAt, points and commentCount."
+                            }
+                        }
+                    }
                 },
-                outputSchema: {
-                    type: "object",
-                    properties: {
-                        content: {
-                            type: "array",
-                            description: "Contains the formatted comments ('formattedComments') and user prompt ('userPrompt') - Follow the instructions in the `userPrompt` on interpreting the formatted comments.",
+                {
+                    name: "get_hn_thread_updates",
+                    description: "Returns only the comments added to a Hacker News discussion since it was last checked, with their parent comments for context and how comments moved in the ranking. Every call saves a snapshot of the thread, used as the baseline of the next call. Follow the instructions in the returned system prompt to summarize what changed.",
+                    inputSchema: {
+                        type: "object",
+                        properties: {
+                            post_url: {
+                                type: "string",
+                                description: "The URL or ID for the Hacker News post. Can be a full URL (https://news.ycombinator.com/item?id=43456723) or just the numeric post ID e.g. 43456723.",
+                            },
+                            since: {
+                                type: "string",
+                                description: "Optional snapshot ID (from a previous call), date/time (e.g. 2025-03-24T09:00:00Z) or unix timestamp in seconds or milliseconds to compare with. Defaults to the latest snapshot.",
+                            },
+                            save_snapshot: {
+                                type: "boolean",
+                                description: "Save a snapshot of the current thread for the next call. Defaults to true.",
+                            }
                         },
-                        metadata: {
-                            type: "object",
-                            description: "Contains post ID (postId), comment count (commentCount), and original post URL (postUrl)."
+                        required: ["post_url"],
+                    },
+                    outputSchema: {
+                        type: "object",
+                        properties: {
+                            content: {
+                                type: "array",
+                                description: "Contains the new comments with their context ('formattedUpdates'), marked NEW or CONTEXT, and the system prompt ('systemPrompt') describing how to summarize what changed.",
+                            },
+                            metadata: {
+                                type: "object",
+                                description: "Contains post ID (postId), the baseline time (since) and snapshot (baselineSnapshotId), the number of new comments (newCommentCount), the total comment count (commentCount), and the ID of the snapshot saved by this call (snapshotId)."
+                            }
+                        }
+                    }
+                },
+                {
+                    name: "get_hn_thread_stats",
+                    description: "Computes the statistics of a Hacker News discussion without summarizing it: participants, deepest reply chain, most active authors, most replied top-level comments, share of downvoted comments, comment timeline, and flame wars (long chains of two authors replying to each other). Use it to decide whether a thread is worth summarizing, or to describe its dynamics.",
+                    inputSchema: {
+                        type: "object",
+                        properties: {
+                            post_url: {
+                                type: "string",
+                                description: "The URL or ID for the Hacker News post. Can be a full URL (https://news.ycombinator.com/item?id=43456723) or just the numeric post ID e.g. 43456723. With the ID of a comment, the statistics are of its subthread.",
+                            },
+                            data_source: {
+                                type: "string",
+                                enum: DATA_SOURCES,
+                                description: "Where the comment tree comes from. 'auto' (default) uses Algolia and falls back to the official HN API when Algolia fails or misses comments shown on the HN page, as happens on fresh threads. 'algolia' and 'firebase' (the official HN API) force a source. 'reconcile' fetches both and reports the comments missing from either of them in `metadata.dataSource`.",
+                            },
+                            no_cache: {
+                                type: "boolean",
+                                description: "Bypass the local response cache and fetch the latest comments from Hacker News.",
+                            }
+                        },
+                        required: ["post_url"],
+                    },
+                    outputSchema: {
+                        type: "object",
+                        properties: {
+                            content: {
+                                type: "array",
+                                description: "Contains the statistics as a markdown table ('threadStats').",
+                            },
+                            metadata: {
+                                type: "object",
+                                description: "Contains post ID (postId), post title (postTitle), the source of the comment tree (dataSource) and the statistics (stats): commentCount, participantCount, topLevelCount, deepestChain, mostActiveAuthors, mostRepliedTopLevel, downvoted (count and share), timeline (unit and buckets of comment counts) and flameWars (authors, length, firstPath and lastPath)."
+                            }
+                        }
+                    }
+                },
+                {
+                    name: "get_hn_user",
+                    description: "Retrieves the profile of a Hacker News user: account creation date, karma and about text, with their recent comments and submissions, newest first. Use it to check whether the author of a highlighted comment is a known domain expert.",
+                    inputSchema: {
+                        type: "object",
+                        properties: {
+                            username: {
+                                type: "string",
+                                description: "The HN username, case-sensitive, e.g. pg.",
+                            },
+                            page: {
+                                type: "integer",
+                                description: "Page of the recent comments and submissions, starting at 0.",
+                            },
+                            hits_per_page: {
+                                type: "integer",
+                                description: "Number of recent comments and of recent submissions per page, defaults to 20.",
+                            },
+                            no_cache: {
+                                type: "boolean",
+                                description: "Bypass the local response cache and fetch the latest profile from Hacker News.",
+                            }
+                        },
+                        required: ["username"],
+                    },
+                    outputSchema: {
+                        type: "object",
+                        properties: {
+                            content: {
+                                type: "array",
+                                description: "Contains the profile ('userProfile'), the recent comments ('recentComments') and the recent submissions ('recentSubmissions').",
+                            },
+                            metadata: {
+                                type: "object",
+                                description: "Contains the profile (profile: username, createdAt, age, karma, about and submissionCount), and the recent comments (comments) and submissions (submissions) as search results, with their page, pageCount and totalHits."
+                            }
+                        }
+                    }
+                },
+                {
+                    name: "get_hn_job_listings",
+                    description: "Extracts structured listings from the monthly hiring threads: \"Ask HN: Who is hiring?\", \"Ask HN: Freelancer? Seeking freelancer?\" and \"Ask HN: Who wants to be hired?\". Each top-level comment becomes a record with the company, locations, remote and onsite flags, roles, tech stack, salary mentions, visa sponsorship, contact (emails and links) and the comment link. Use it instead of get_hn_post_formatted_comments for these threads, and filter server-side to keep the output small.",
+                    inputSchema: {
+                        type: "object",
+                        properties: {
+                            thread: {
+                                type: "string",
+                                description: "The URL or ID of the hiring thread, or 'latest' for the latest thread of `kind`.",
+                            },
+                            kind: {
+                                type: "string",
+                                enum: HIRING_THREAD_KINDS,
+                                description: "Kind of thread to find with 'latest'. 'hiring' (default) for Who is hiring, 'freelancer' for Freelancer? Seeking freelancer?, 'seeking' for Who wants to be hired.",
+                            },
+                            keyword: {
+                                type: "string",
+                                description: "Only the listings mentioning this keyword, e.g. 'rust' or 'machine learning' (case-insensitive).",
+                            },
+                            location: {
+                                type: "string",
+                                description: "Only the listings with a location containing this text, e.g. 'Berlin' (case-insensitive).",
+                            },
+                            remote: {
+                                type: "boolean",
+                                description: "Only the remote listings when true, only the non-remote ones when false.",
+                            },
+                            format: {
+                                type: "string",
+                                enum: LISTING_FORMATS,
+                                description: "Output format of the listings: 'json' (default) or 'csv'.",
+                            },
+                            data_source: {
+                                type: "string",
+                                enum: DATA_SOURCES,
+                                description: "Where the comment tree comes from, see get_hn_post_formatted_comments. Defaults to 'auto'.",
+                            },
+                            no_cache: {
+                                type: "boolean",
+                                description: "Bypass the local response cache and fetch the latest listings from Hacker News.",
+                            }
+                        },
+                        required: ["thread"],
+                    },
+                    outputSchema: {
+                        type: "object",
+                        properties: {
+                            content: {
+                                type: "array",
+                                description: "Contains the listings matching the filters ('jobListings') as a JSON array or as CSV.",
+                            },
+                            metadata: {
+                                type: "object",
+                                description: "Contains the thread ID (threadId), title (title) and kind (kind), the number of listings in the thread (listingCount), the number of listings matching the filters (matchedCount), the format (format) and the source of the comment tree (dataSource)."
+                            }
+                        }
+                    }
+                },
+                {
+                    name: "link_summary_citations",
+                    description: "Rewrites the [1.2.3] hierarchy path citations of a summary of a Hacker News discussion into links to the cited comments, and flags the citations whose path does not exist, whose quotes are not found in the cited comment, or whose author does not match.",
+                    inputSchema: {
+                        type: "object",
+                        properties: {
+                            summary: {
+                                type: "string",
+                                description: "The markdown summary citing comments by hierarchy path, e.g. `[1.2] (user2) explained that \"...\"`.",
+                            },
+                            post_url: {
+                                type: "string",
+                                description: "The URL or ID for the summarized Hacker News post. Can be a full URL (https://news.ycombinator.com/item?id=43456723) or just the numeric post ID e.g. 43456723.",
+                            },
+                            comment_path_id_mapping: {
+                                type: "object",
+                                additionalProperties: { type: "integer" },
+                                description: "The `metadata.commentPathIdMapping` returned by `get_hn_post_formatted_comments` with the summarized comments. Paths follow the live ranking, so pass it to resolve the citations as they were formatted. Without it, the paths of the last time the thread was formatted are used, or the thread is downloaded again.",
+                            }
+                        },
+                        required: ["summary", "post_url"],
+                    },
+                    outputSchema: {
+                        type: "object",
+                        properties: {
+                            content: {
+                                type: "array",
+                                description: "Contains the summary with linked citations ('linkedSummary') and the report of the flagged citations ('citationReport').",
+                            },
+                            metadata: {
+                                type: "object",
+                                description: "Contains post ID (postId), where the paths were resolved from (mappingSource: 'argument', 'snapshot' or 'download'), the number of citations (citationCount) and of flagged citations (flaggedCount), and the flagged citations (flagged) with their path, line, commentId and issues."
+                            }
+                        }
+                    }
+                },
+                {
+                    name: "clear_hn_cache",
+                    description: "Clears the local cache of Hacker News responses, for all posts or for a single post.",
+                    inputSchema: {
+                        type: "object",
+                        properties: {
+                            post_url: {
+                                type: "string",
+                                description: "Optional URL or ID of the Hacker News post whose cached responses should be removed. Clears the whole cache if omitted.",
+                            }
                         }
                     }
                 }
-            }
-        ]
-    };
-});
-/**
- * Handler for the get_hn_post_formatted_comments tool.
- * Returns the HN Post comments formatted for summarization.
- */
-server.setRequestHandler(CallToolRequestSchema, async (request) => {
-    log(`CallToolRequestSchema: ${request.params.name}`);
-    switch (request.params.name) {
-        case "get_hn_post_formatted_comments":
-            {
-                const post_url = String(request.params.arguments?.post_url).trim();
-                if (!post_url) {
-                    throw new Error("PostURL is required");
+            ]
+        };
+    });
+    /**
+     * Handler for the get_hn_post_formatted_comments tool.
+     * Returns the HN Post comments formatted for summarization.
+     */
+    server.setRequestHandler(CallToolRequestSchema, async (request, extra) => {
+        // Cancelled when the client cancels the tool call, aborting the requests to Hacker News
+        const { signal } = extra;
+        log(`CallToolRequestSchema: ${request.params.name}`);
+        switch (request.params.name) {
+            case "get_hn_post_formatted_comments":
+                {
+                    const postId = getPostIdArgument(request.params.arguments);
+                    const budgetOptions = getBudgetArguments(request.params.arguments);
+                    const renderOptions = getRenderArguments(request.params.arguments);
+                    const formatOptions = { showTime: request.params.arguments?.show_time === true };
+                    const scoringOptions = getScoringArguments(request.params.arguments);
+                    const includeArticle = request.params.arguments?.include_article === true;
+                    const articleMaxLength = getIntegerArgument(request.params.arguments, 'article_max_length', DEFAULT_ARTICLE_MAX_LENGTH);
+                    const source = getDataSourceArgument(request.params.arguments);
+                    const annotateAuthors = getIntegerArgument(request.params.arguments, 'annotate_authors', 0);
+                    if (annotateAuthors > MAX_ANNOTATED_AUTHORS) {
+                        throw new Error(`annotate_authors must be at most ${MAX_ANNOTATED_AUTHORS}`);
+                    }
+                    const template = await getTemplate(request.params.arguments?.style ?? DEFAULT_STYLE);
+                    log(`Fetching comments for post ID: ${postId}`);
+                    try {
+                        const postResponseData = await downloadPostComments(postId, {
+                            noCache: request.params.arguments?.no_cache === true,
+                            render: renderOptions,
+                            scoring: scoringOptions,
+                            source,
+                            signal
+                        });
+                        const { links } = postResponseData;
+                        // Snapshot the thread, so that get_hn_thread_updates can later return what is new since it was read
+                        await saveSnapshot(postResponseData.post, postResponseData.postComments, scoringOptions)
+                            .catch(error => console.error("Error saving snapshot:", error));
+                        if (postResponseData.diagnostics.warning) {
+                            console.error(`Warning for post ${postId}: ${postResponseData.diagnostics.warning}`);
+                        }
+                        const metadata = {
+                            postId: postId,
+                            post: getPostMetadata(postResponseData.post),
+                            commentCount: postResponseData.postComments.length,
+                            scoring: scoringOptions,
+                            style: template.name,
+                            pageCount: postResponseData.pageCount,
+                            dataSource: postResponseData.dataSource,
+                            diagnostics: postResponseData.diagnostics,
+                            postUrl: `https://news.ycombinator.com/item?id=${postId}`,
+                            commentPathIdMapping: createCommentPathIdMapping(postResponseData.postComments)
+                        };
+                        const { subthread } = postResponseData.post;
+                        if (subthread) {
+                            metadata.subthread = {
+                                rootCommentId: subthread.rootComment.id,
+                                storyId: subthread.storyId,
+                                storyTitle: subthread.storyTitle,
+                                ancestorCount: subthread.ancestors.length
+                            };
+                        }
+                        // For a subthread, the story title, parent comments and root comment are given as context
+                        const contextContent = subthread ? [{
+                            type: "text",
+                            text: `Story: ${subthread.storyTitle}\n${formatSubthreadContext(subthread)}`,
+                            description: "'subthreadContext' - The story, the parent comments (context only) and the root comment of the subthread. The paths of 'formattedComments' are relative to the root comment: [1] is a direct reply to it. Summarize the root comment and its replies only."
+                        }] : [];
+                        // For a post, its title and details: the article it links to, the question of an Ask HN, its author and points
+                        if (!subthread) {
+                            const postDetails = formatPostDetails(postResponseData.post);
+                            contextContent.push({
+                                type: "text",
+                                text: `Post Title: ${postResponseData.post.title}${postDetails ? `\n${postDetails}` : ''}`,
+                                description: "'postDetails' - The title of the post, the URL of the article it links to or its text (e.g. the question of an Ask HN), its author, points and submission time. The discussion reacts to it, as described in the `systemPrompt`."
+                            });
+                        }
+                        // The linked article is optional context: when it cannot be fetched, only its note is returned
+                        const article = includeArticle
+                            ? await fetchArticle(postResponseData.post.url, { maxLength: articleMaxLength, signal })
+                            : null;
+                        const articleText = article?.text ? formatArticle(article) : '';
+                        if (article) {
+                            const { text, ...articleMetadata } = article;
+                            metadata.article = articleMetadata;
+                            contextContent.push({
+                                type: "text",
+                                text: formatArticle(article),
+                                description: articleText
+                                    ? "'article' - Readable text of the article the post links to. Contrast it with the community's reaction in the comments, as described in the `systemPrompt`."
+                                    : "'article' - The linked article could not be included. Summarize the discussion without it."
+                            });
+                        }
+                        // Author profiles are optional context as well: the authors whose profile cannot be fetched are left out
+                        const authorProfiles = annotateAuthors > 0
+                            ? await downloadAuthorProfiles(postResponseData.postComments, annotateAuthors, {
+                                noCache: request.params.arguments?.no_cache === true,
+                                signal
+                            })
+                            : [];
+                        if (annotateAuthors > 0) {
+                            metadata.authorProfiles = authorProfiles;
+                        }
+                        if (authorProfiles.length > 0) {
+                            contextContent.push({
+                                type: "text",
+                                text: formatAuthorProfiles(authorProfiles),
+                                description: "'authorProfiles' - Profiles of the authors with the highest scoring comments, as a signal of expertise, as described in the `systemPrompt`."
+                            });
+                        }
+                        const systemPromptContent = {
+                            type: "text",
+                            text: getSystemPrompt({
+                                renderMode: renderOptions.mode,
+                                showTime: formatOptions.showTime,
+                                scoringStrategy: scoringOptions.strategy,
+                                includeArticle: Boolean(articleText),
+                                authorProfiles: authorProfiles.length > 0,
+                                template,
+                                postTitle: postResponseData.post.title,
+                                commentCount: postResponseData.postComments.length
+                            }),
+                            description: "'systemPrompt' - Follow the instructions in the `systemPrompt` on interpreting the 'formattedComments' data."
+                        };
+                        // The opening instructions of the summary style, which the user prompt of the CLI and REST API starts with
+                        const instructionsContent = {
+                            type: "text",
+                            text: renderTemplate(template, 'instructions', {
+                                postTitle: postResponseData.post.title,
+                                commentCount: postResponseData.postComments.length
+                            }),
+                            description: `'instructions' - What to write, from the '${template.name}' summary style. ${subthread ? "The summary covers the subthread only, as described in 'subthreadContext'." : "Follow them along with the `systemPrompt`."}`
+                        };
+                        if (!budgetOptions) {
+                            return {
+                                content: [
+                                    ...contextContent,
+                                    {
+                                        type: "text",
+                                        text: formatComments(postResponseData.postComments, links, formatOptions),
+                                        description: "'formattedComments' - Formatted comments for post ID",
+                                    },
+                                    systemPromptContent,
+                                    instructionsContent
+                                ],
+                                metadata
+                            };
+                        }
+                        const { comments, chunks, budget } = applyTokenBudget(postResponseData.postComments, { ...budgetOptions, formatOptions, links });
+                        metadata.budget = budget;
+                        if (chunks) {
+                            return {
+                                content: [
+                                    ...contextContent,
+                                    ...chunks.map((chunk, index) => {
+                                        const contextCount = chunk.filter(comment => comment.context).length;
+                                        return {
+                                            type: "text",
+                                            text: formatComments(chunk, links, formatOptions),
+                                            description: `'formattedComments' - Part ${index + 1} of ${chunks.length} of the formatted comments for post ID. Summarize each part separately.${contextCount > 0 ? ` The first ${contextCount} comments are the parent comments of the next ones, repeated from the previous part for context only: do not summarize them again.` : ''}`,
+                                        };
+                                    }),
+                                    systemPromptContent,
+                                    instructionsContent,
+                                    {
+                                        type: "text",
+                                        text: getReducePrompt(postResponseData.post.title, chunks.length, articleText, subthread ? '' : instructionsContent.text),
+                                        description: "'reducePrompt' - Once every part is summarized, follow these instructions to merge the partial summaries."
+                                    }
+                                ],
+                                metadata
+                            };
+                        }
+                        return {
+                            content: [
+                                ...contextContent,
+                                {
+                                    type: "text",
+                                    text: formatComments(comments, links, formatOptions),
+                                    description: `'formattedComments' - Formatted comments for post ID. ${budget.droppedCount} lower scoring comments were left out to fit the token budget.`,
+                                },
+                                systemPromptContent,
+                                instructionsContent
+                            ],
+                            metadata
+                        };
+                    }
+                    catch (error) {
+                        console.error("Error downloading comments:", error);
+                        return getToolErrorResult(error, "download comment post");
+                    }
+                }
+            case "get_hn_stories":
+                {
+                    const args = request.params.arguments;
+                    const feed = args?.feed ?? 'top';
+                    if (!STORY_FEEDS.includes(feed)) {
+                        throw new Error(`feed must be one of: ${STORY_FEEDS.join(', ')}`);
+                    }
+                    const options = {
+                        limit: getIntegerArgument(args, 'limit', 30),
+                        minPoints: getIntegerArgument(args, 'min_points', 0),
+                        minComments: getIntegerArgument(args, 'min_comments', 0)
+                    };
+                    log(`Fetching ${feed} stories`, options);
+                    try {
+                        const stories = await downloadStories(feed, { ...options, signal });
+                        return {
+                            content: [
+                                {
+                                    type: "text",
+                                    text: formatStories(stories),
+                                    description: `'stories' - Stories of the ${feed} feed`,
+                                }
+                            ],
+                            metadata: {
+                                feed,
+                                stories
+                            }
+                        };
+                    }
+                    catch (error) {
+                        console.error("Error downloading stories:", error);
+                        return getToolErrorResult(error, "download stories");
+                    }
                 }
-                const postId = getPostId(post_url);
-                if (!postId) {
-                    throw new Error("Invalid post URL");
+            case "search_hn":
+                {
+                    const args = request.params.arguments;
+                    const tags = args?.tags ?? [];
+                    if (!Array.isArray(tags)) {
+                        throw new Error("tags must be an array of strings");
+                    }
+                    const hitsPerPage = getIntegerArgument(args, 'hits_per_page', 20);
+                    if (hitsPerPage < 1 || hitsPerPage > 100) {
+                        throw new Error("hits_per_page must be between 1 and 100");
+                    }
+                    const options = {
+                        tags,
+                        sort: args?.sort ?? 'relevance',
+                        createdAfter: args?.created_after,
+                        createdBefore: args?.created_before,
+                        minPoints: getIntegerArgument(args, 'min_points', undefined),
+                        minComments: getIntegerArgument(args, 'min_comments', undefined),
+                        page: getIntegerArgument(args, 'page', 0),
+                        hitsPerPage
+                    };
+                    const query = String(args?.query ?? '').trim();
+                    log(`Searching for "${query}"`, options);
+                    try {
+                        const results = await searchHN(query, { ...options, signal });
+                        return {
+                            content: [
+                                {
+                                    type: "text",
+                                    text: formatSearchResults(results),
+                                    description: `'searchResults' - Search results for "${query}"`,
+                                }
+                            ],
+                            metadata: results
+                        };
+                    }
+                    catch (error) {
+                        console.error("Error searching:", error);
+                        return getToolErrorResult(error, "search");
+                    }
                 }
-                log(`Fetching comments for post ID: ${postId}`);
-                const controller = new AbortController();
-                const timeoutId = setTimeout(() => controller.abort(), 30_000); // 30 seconds timeout
-                try {
-                    const postResponseData = await downloadPostComments(postId);
-                    let formattedComments = '';
-                    postResponseData.postComments.forEach(comment => {
-                        formattedComments += `[${comment.path}] (score: ${comment.score}) <replies: ${comment.replies}> {downvotes: ${comment.downvotes}} ${comment.author}: ${comment.text}\n`;
-                    });
+            case "get_hn_url_discussions":
+                {
+                    const args = request.params.arguments;
+                    const url = String(args?.url ?? '').trim();
+                    if (!url) {
+                        throw new Error("url is required");
+                    }
+                    const maxThreads = getIntegerArgument(args, 'max_threads', 5);
+                    if (maxThreads < 1) {
+                        throw new Error("max_threads must be at least 1");
+                    }
+                    log(`Fetching discussions for ${url}`);
+                    try {
+                        const { articleUrl, submissions, submissionsTruncated, threads } = await downloadUrlDiscussions(url, { maxThreads, signal });
+                        const formattedData = formatUrlDiscussionsForClaude(articleUrl, threads);
+                        return {
+                            content: [
+                                {
+                                    type: "text",
+                                    text: formatUrlDiscussions(threads),
+                                    description: `'formattedDiscussions' - Formatted comments of ${threads.length} discussions of the article`,
+                                },
+                                {
+                                    type: "text",
+                                    text: formattedData.systemPrompt,
+                                    description: "'systemPrompt' - Follow the instructions in the `systemPrompt` on interpreting the 'formattedDiscussions' data."
+                                }
+                            ],
+                            metadata: {
+                                articleUrl,
+                                submissionCount: submissions.length,
+                                submissionsTruncated,
+                                threads: formattedData.threads
+                            }
+                        };
+                    }
+                    catch (error) {
+                        console.error("Error downloading discussions:", error);
+                        return getToolErrorResult(error, "download discussions");
+                    }
+                }
+            case "get_hn_thread_stats":
+                {
+                    const args = request.params.arguments;
+                    const postId = getPostIdArgument(args);
+                    const source = getDataSourceArgument(args);
+                    log(`Computing statistics for post ID: ${postId}`);
+                    try {
+                        const { post, postComments, dataSource } = await downloadPostComments(postId, { noCache: args?.no_cache === true, source, signal });
+                        const stats = computeThreadStats(postComments);
+                        return {
+                            content: [
+                                {
+                                    type: "text",
+                                    text: formatThreadStats(post.title, stats),
+                                    description: "'threadStats' - Statistics of the discussion",
+                                }
+                            ],
+                            metadata: {
+                                postId,
+                                postTitle: post.title,
+                                dataSource,
+                                stats
+                            }
+                        };
+                    }
+                    catch (error) {
+                        console.error("Error computing thread statistics:", error);
+                        return getToolErrorResult(error, "compute thread statistics");
+                    }
+                }
+            case "get_hn_thread_updates":
+                {
+                    const args = request.params.arguments;
+                    const postId = getPostIdArgument(args);
+                    log(`Fetching updates for post ID: ${postId}`);
+                    try {
+                        const updates = await downloadThreadUpdates(postId, {
+                            since: args?.since,
+                            save: args?.save_snapshot !== false,
+                            signal
+                        });
+                        const metadata = {
+                            postId,
+                            since: updates.since,
+                            baselineSnapshotId: updates.baselineSnapshotId,
+                            newCommentCount: updates.newCommentCount,
+                            commentCount: updates.commentCount,
+                            snapshotId: updates.snapshotId
+                        };
+                        if (!updates.entries) {
+                            return {
+                                content: [
+                                    {
+                                        type: "text",
+                                        text: `There is no earlier snapshot of post ${postId}. A snapshot of its ${updates.commentCount} comments was saved: call this tool again later to get the new comments, or use get_hn_post_formatted_comments to read the whole discussion.`,
+                                    }
+                                ],
+                                metadata
+                            };
+                        }
+                        return {
+                            content: [
+                                {
+                                    type: "text",
+                                    text: updates.newCommentCount > 0 ? formatDiff(updates.entries) : `No new comments since ${updates.since}.`,
+                                    description: `'formattedUpdates' - ${updates.newCommentCount} new comments since ${updates.since}, with their context`,
+                                },
+                                {
+                                    type: "text",
+                                    text: getDiffSystemPrompt(),
+                                    description: "'systemPrompt' - Follow the instructions in the `systemPrompt` on interpreting the 'formattedUpdates' data."
+                                }
+                            ],
+                            metadata
+                        };
+                    }
+                    catch (error) {
+                        console.error("Error downloading updates:", error);
+                        return getToolErrorResult(error, "download thread updates");
+                    }
+                }
+            case "get_hn_user":
+                {
+                    const args = request.params.arguments;
+                    const username = String(args?.username ?? '').trim();
+                    if (!isValidUsername(username)) {
+                        throw new Error("username must be a valid HN username");
+                    }
+                    const hitsPerPage = getIntegerArgument(args, 'hits_per_page', 20);
+                    if (hitsPerPage < 1 || hitsPerPage > 100) {
+                        throw new Error("hits_per_page must be between 1 and 100");
+                    }
+                    log(`Fetching user: ${username}`);
+                    try {
+                        const { profile, comments, submissions } = await downloadUserProfile(username, {
+                            page: getIntegerArgument(args, 'page', 0),
+                            hitsPerPage,
+                            noCache: args?.no_cache === true,
+                            signal
+                        });
+                        return {
+                            content: [
+                                {
+                                    type: "text",
+                                    text: formatProfile(profile),
+                                    description: "'userProfile' - Profile of the user",
+                                },
+                                {
+                                    type: "text",
+                                    text: formatSearchResults(comments),
+                                    description: "'recentComments' - Recent comments of the user, newest first, with the story they were posted on",
+                                },
+                                {
+                                    type: "text",
+                                    text: formatSearchResults(submissions),
+                                    description: "'recentSubmissions' - Recent submissions of the user, newest first",
+                                }
+                            ],
+                            metadata: { profile, comments, submissions }
+                        };
+                    }
+                    catch (error) {
+                        console.error("Error downloading user:", error);
+                        return getToolErrorResult(error, "download user");
+                    }
+                }
+            case "get_hn_job_listings":
+                {
+                    const args = request.params.arguments;
+                    const thread = String(args?.thread ?? '').trim();
+                    if (!thread) {
+                        throw new Error("thread is required");
+                    }
+                    const kind = args?.kind ?? 'hiring';
+                    if (!HIRING_THREAD_KINDS.includes(kind)) {
+                        throw new Error(`kind must be one of: ${HIRING_THREAD_KINDS.join(', ')}`);
+                    }
+                    const format = args?.format ?? 'json';
+                    if (!LISTING_FORMATS.includes(format)) {
+                        throw new Error(`format must be one of: ${LISTING_FORMATS.join(', ')}`);
+                    }
+                    if (args?.remote !== undefined && typeof args.remote !== 'boolean') {
+                        throw new Error("remote must be a boolean");
+                    }
+                    const source = getDataSourceArgument(args);
+                    log(`Extracting job listings of thread: ${thread}`);
+                    try {
+                        const result = await downloadJobListings(thread, {
+                            kind,
+                            keyword: args?.keyword,
+                            location: args?.location,
+                            remote: args?.remote,
+                            noCache: args?.no_cache === true,
+                            source,
+                            signal
+                        });
+                        return {
+                            content: [
+                                {
+                                    type: "text",
+                                    text: format === 'csv' ? formatListingsCsv(result.listings) : JSON.stringify(result.listings, null, 2),
+                                    description: `'jobListings' - ${result.listings.length} of the ${result.listingCount} listings of "${result.title}"`,
+                                }
+                            ],
+                            metadata: {
+                                threadId: result.threadId,
+                                title: result.title,
+                                kind: result.kind,
+                                listingCount: result.listingCount,
+                                matchedCount: result.listings.length,
+                                format,
+                                dataSource: result.dataSource
+                            }
+                        };
+                    }
+                    catch (error) {
+                        console.error("Error extracting job listings:", error);
+                        return getToolErrorResult(error, "extract job listings");
+                    }
+                }
+            case "link_summary_citations":
+                {
+                    const args = request.params.arguments;
+                    const summary = typeof args?.summary === 'string' ? args.summary : '';
+                    if (!summary.trim()) {
+                        throw new Error("summary is required");
+                    }
+                    const postId = getPostIdArgument(args);
+                    const commentPathIdMapping = args?.comment_path_id_mapping ?? undefined;
+                    if (commentPathIdMapping !== undefined && !isValidPathIdMapping(commentPathIdMapping)) {
+                        throw new Error("comment_path_id_mapping must map hierarchy paths (e.g. \"1.2\") to comment IDs");
+                    }
+                    log(`Linking citations for post ID: ${postId}`);
+                    try {
+                        const { comments, mappingSource } = await resolveCitedComments(summary, postId, { commentPathIdMapping, signal });
+                        const result = linkCitations(summary, comments);
+                        return {
+                            content: [
+                                {
+                                    type: "text",
+                                    text: result.linkedSummary,
+                                    description: "'linkedSummary' - The summary with the citations linked to the HN comments",
+                                },
+                                {
+                                    type: "text",
+                                    text: formatCitationReport(result.flagged),
+                                    description: "'citationReport' - Citations that do not resolve to a comment or whose quotes do not match it"
+                                }
+                            ],
+                            metadata: {
+                                postId,
+                                mappingSource,
+                                citationCount: result.citationCount,
+                                flaggedCount: result.flaggedCount,
+                                flagged: result.flagged
+                            }
+                        };
+                    }
+                    catch (error) {
+                        console.error("Error linking citations:", error);
+                        return getToolErrorResult(error, "link citations");
+                    }
+                }
+            case "clear_hn_cache":
+                {
+                    const args = request.params.arguments;
+                    const postId = args?.post_url ? getPostIdArgument(args) : undefined;
+                    const removed = await clearCache(postId);
                     return {
                         content: [
                             {
                                 type: "text",
-                                text: String(formattedComments),
-                                description: "'formattedComments' - Formatted comments for post ID",
-                            },
-                            {
-                                type: "text",
-                                text: getSystemPrompt(),
-                                description: "'userPrompt' - Follow the instructions in the `userPrompt` on interpreting the 'formattedComments' data."
+                                text: `Removed ${removed} cache entries${postId ? ` for post ${postId}` : ''}`,
                             }
                         ],
                         metadata: {
-                            postId: postId,
-                            commentCount: postResponseData.postComments.length,
-                            postUrl: `https://news.ycombinator.com/item?id=${postId}`
+                            removed
                         }
                     };
                 }
-                catch (error) {
-                    console.error("Error downloading comments:", error);
-                    throw new Error(`Failed to download comment post: ${error.message}`);
+            default:
+                throw new Error("Unknown tool");
+        }
+    });
+    /**
+     * Handler that lists available prompts.
+     * Exposes the "summarize_hn_thread" prompt that clients can offer as a slash command.
+     */
+    server.setRequestHandler(ListPromptsRequestSchema, async () => {
+        log(`ListPromptsRequestSchema`);
+        const styles = await listStyles();
+        return {
+            prompts: [
+                {
+                    name: "summarize_hn_thread",
+                    description: "Summarize a Hacker News discussion, highlighting the main themes, key perspectives and notable comments.",
+                    arguments: [
+                        {
+                            name: "post_url",
+                            description: "The URL or ID for the Hacker News post to summarize, e.g. https://news.ycombinator.com/item?id=43456723 or 43456723. With the ID of a comment, only its subthread is summarized.",
+                            required: true
+                        },
+                        {
+                            name: "style",
+                            description: `Summary style: ${styles.map(style => `${style.name} (${style.description})`).join(', ')}. Defaults to ${DEFAULT_STYLE}.`,
+                            required: false
+                        }
+                    ]
                 }
-                finally {
-                    clearTimeout(timeoutId);
-                    controller.abort();
+            ]
+        };
+    });
+    /**
+     * Handler for the summarize_hn_thread prompt.
+     * Fetches the thread and returns the system prompt and the user prompt containing the formatted comments.
+     * MCP prompts have no system role, so the system prompt is sent as the first user message.
+     */
+    server.setRequestHandler(GetPromptRequestSchema, async (request) => {
+        log(`GetPromptRequestSchema: ${request.params.name}`);
+        switch (request.params.name) {
+            case "summarize_hn_thread":
+                {
+                    const postId = getPostIdArgument(request.params.arguments);
+                    const template = await getTemplate(request.params.arguments?.style || DEFAULT_STYLE);
+                    log(`Fetching comments for post ID: ${postId}`);
+                    const { post, postComments } = await downloadPostComments(postId);
+                    const templateContext = { postTitle: post.title, commentCount: postComments.length };
+                    return {
+                        description: `Summary of the Hacker News discussion "${post.title}" (${postComments.length} comments)`,
+                        messages: [
+                            {
+                                role: "user",
+                                content: {
+                                    type: "text",
+                                    text: getSystemPrompt({ template, ...templateContext })
+                                }
+                            },
+                            {
+                                role: "user",
+                                content: {
+                                    type: "text",
+                                    text: getPostUserPrompt(post, formatComments(postComments), '', renderTemplate(template, 'instructions', templateContext))
+                                }
+                            }
+                        ]
+                    };
                 }
-            }
-            break;
-        default:
-            throw new Error("Unknown tool");
+            default:
+                throw new Error("Unknown prompt");
+        }
+    });
+    /**
+     * Handlers for the resources: the hn://front/top resource, and the hn://item/{id} and hn://item/{id}/raw templates
+     * that let clients attach a thread as context without a tool call.
+     */
+    server.setRequestHandler(ListResourcesRequestSchema, async () => {
+        log(`ListResourcesRequestSchema`);
+        return { resources: RESOURCES };
+    });
+    server.setRequestHandler(ListResourceTemplatesRequestSchema, async () => {
+        log(`ListResourceTemplatesRequestSchema`);
+        return { resourceTemplates: RESOURCE_TEMPLATES };
+    });
+    server.setRequestHandler(ReadResourceRequestSchema, async (request, extra) => {
+        log(`ReadResourceRequestSchema: ${request.params.uri}`);
+        // A subscribed thread is read without the cache, which may predate the comments announced by an update notification
+        const noCache = subscriptions.isSubscribed(request.params.uri);
+        return { contents: await readResource(request.params.uri, { noCache, signal: extra.signal }) };
+    });
+    /**
+     * Handlers for the subscriptions: a subscribed thread is polled, and notifications/resources/updated is sent when it has new comments.
+     */
+    server.setRequestHandler(SubscribeRequestSchema, async (request) => {
+        log(`SubscribeRequestSchema: ${request.params.uri}`);
+        await subscriptions.subscribe(request.params.uri);
+        return {};
+    });
+    server.setRequestHandler(UnsubscribeRequestSchema, async (request) => {
+        log(`UnsubscribeRequestSchema: ${request.params.uri}`);
+        subscriptions.unsubscribe(request.params.uri);
+        return {};
+    });
+    return server;
+}
+
+/**
+ * Get the value of a command line option given as `--name value` or `--name=value`
+ * @param name - Option name without the leading dashes
+ * @returns Option value, true if the option is a flag, or undefined if not present
+ */
+function getCliOption(name) {
+    const args = process.argv.slice(2);
+    for (let i = 0; i < args.length; i++) {
+        if (args[i] === `--${name}`) {
+            const next = args[i + 1];
+            return next && !next.startsWith('--') ? next : true;
+        }
+        if (args[i].startsWith(`--${name}=`)) {
+            return args[i].slice(name.length + 3);
+        }
     }
-});
+    return undefined;
+}
 
 /**
- * Start the server using stdio transport.
- * This allows the server to communicate via standard input/output streams.
+ * Start the server.
+ * By default, the server uses stdio transport, communicating via standard input/output streams.
+ * With `--http` (or MCP_TRANSPORT=http) it serves the REST API and the MCP tools over HTTP/SSE instead.
  */
 async function main() {
-    const transport = new StdioServerTransport();
-    await server.connect(transport);
+    // The cache is configured with the HN_CACHE_* environment variables, offline mode can also be set from the command line
+    const fixturesOption = getCliOption('fixtures');
+    configureCache({
+        offline: getCliOption('offline') === true || undefined,
+        fixturesDir: typeof fixturesOption === 'string' ? fixturesOption : undefined
+    });
+    // The HTTP client is configured with the HN_FETCH_* and HN_USER_AGENT environment variables, or from the command line
+    const fetchTimeoutOption = getCliOption('fetch-timeout');
+    const fetchRetriesOption = getCliOption('fetch-retries');
+    const fetchConcurrencyOption = getCliOption('fetch-concurrency');
+    const userAgentOption = getCliOption('user-agent');
+    configureHttpClient({
+        timeout: typeof fetchTimeoutOption === 'string' ? Number(fetchTimeoutOption) : undefined,
+        retries: typeof fetchRetriesOption === 'string' ? Number(fetchRetriesOption) : undefined,
+        concurrency: typeof fetchConcurrencyOption === 'string' ? Number(fetchConcurrencyOption) : undefined,
+        userAgent: typeof userAgentOption === 'string' ? userAgentOption : undefined
+    });
+    const { timeout, retries, concurrency } = getHttpClientConfig();
+    if (!Number.isInteger(timeout) || timeout <= 0) {
+        throw new Error(`Invalid fetch timeout: ${timeout}`);
+    }
+    if (!Number.isInteger(retries) || retries < 0) {
+        throw new Error(`Invalid number of fetch retries: ${retries}`);
+    }
+    if (!Number.isInteger(concurrency) || concurrency <= 0) {
+        throw new Error(`Invalid fetch concurrency: ${concurrency}`);
+    }
+    // The subscriptions are configured with the HN_POLL_INTERVAL and HN_MAX_SUBSCRIPTIONS environment variables, or from the command line
+    const pollIntervalOption = getCliOption('poll-interval');
+    const maxSubscriptionsOption = getCliOption('max-subscriptions');
+    configureSubscriptions({
+        pollInterval: typeof pollIntervalOption === 'string' ? Number(pollIntervalOption) : undefined,
+        maxSubscriptions: typeof maxSubscriptionsOption === 'string' ? Number(maxSubscriptionsOption) : undefined
+    });
+    const { pollInterval, maxSubscriptions } = getSubscriptionConfig();
+    if (!Number.isInteger(pollInterval) || pollInterval <= 0) {
+        throw new Error(`Invalid poll interval: ${pollInterval}`);
+    }
+    if (!Number.isInteger(maxSubscriptions) || maxSubscriptions < 0) {
+        throw new Error(`Invalid maximum number of subscriptions: ${maxSubscriptions}`);
+    }
+    // Invalid templates fail at startup rather than on the first summary
+    await loadTemplates();
+    const transportOption = getCliOption('transport');
+    const transportType = getCliOption('http') === true ? 'http'
+        : (typeof transportOption === 'string' ? transportOption : process.env.MCP_TRANSPORT || 'stdio');
+    switch (transportType) {
+        case 'stdio': {
+            const transport = new StdioServerTransport();
+            await createServer().connect(transport);
+            break;
+        }
+        case 'http': {
+            const portOption = getCliOption('port');
+            const port = Number(typeof portOption === 'string' ? portOption : process.env.PORT || 3000);
+            if (!Number.isInteger(port) || port <= 0) {
+                throw new Error(`Invalid port: ${portOption ?? process.env.PORT}`);
+            }
+            startHttpServer(createServer, port);
+            break;
+        }
+        default:
+            throw new Error(`Unknown transport "${transportType}". Use "stdio" or "http".`);
+    }
 }
 main().catch((error) => {
     console.error("Server error:", error);
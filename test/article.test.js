@@ -0,0 +1,85 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'node:http';
+import { fetchArticle, MAX_ARTICLE_BYTES } from '../lib/article.js';
+// Server of the article pages, with the number of bytes it managed to send for each path
+let server;
+let baseUrl;
+const sentBytes = {};
+/**
+ * Stream a body in 64 KB chunks until the client goes away or the size is reached
+ * @param res - Server response
+ * @param path - Request path, to count the bytes sent
+ * @param size - Body size in bytes
+ */
+function streamBody(res, path, size) {
+    const chunk = Buffer.alloc(64 * 1024, 'a');
+    sentBytes[path] = 0;
+    const write = () => {
+        while (sentBytes[path] < size && !res.destroyed) {
+            sentBytes[path] += chunk.length;
+            if (!res.write(chunk)) {
+                res.once('drain', write);
+                return;
+            }
+        }
+        res.end();
+    };
+    res.on('error', () => {});
+    write();
+}
+before(async () => {
+    server = http.createServer((req, res) => {
+        switch (req.url) {
+            case '/article':
+                res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8' });
+                res.end(`<html><head><title>Title</title></head><body><article><p>${'Readable text. '.repeat(30)}</p></article></body></html>`);
+                break;
+            case '/paper.pdf':
+                res.writeHead(200, { 'Content-Type': 'application/pdf', 'Content-Length': String(100 * MAX_ARTICLE_BYTES) });
+                streamBody(res, req.url, 100 * MAX_ARTICLE_BYTES);
+                break;
+            case '/large':
+                res.writeHead(200, { 'Content-Type': 'text/html', 'Content-Length': String(2 * MAX_ARTICLE_BYTES) });
+                streamBody(res, req.url, 2 * MAX_ARTICLE_BYTES);
+                break;
+            case '/large-chunked':
+                // No Content-Length: the limit can only be enforced while reading
+                res.writeHead(200, { 'Content-Type': 'text/html' });
+                streamBody(res, req.url, 100 * MAX_ARTICLE_BYTES);
+                break;
+            default:
+                res.writeHead(404);
+                res.end();
+        }
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+after(() => {
+    server.closeAllConnections();
+    server.close();
+});
+test('fetchArticle extracts the text of an HTML page', async () => {
+    const article = await fetchArticle(`${baseUrl}/article`);
+    assert.equal(article.title, 'Title');
+    assert.match(article.text, /^Readable text\./);
+    assert.equal(article.truncated, false);
+});
+test('fetchArticle rejects a non-HTML page from its headers, without downloading it', async () => {
+    const article = await fetchArticle(`${baseUrl}/paper.pdf`);
+    assert.equal(article.text, undefined);
+    assert.match(article.note, /not an HTML page \(application\/pdf\)/);
+    assert.ok(sentBytes['/paper.pdf'] < MAX_ARTICLE_BYTES, `${sentBytes['/paper.pdf']} bytes were sent`);
+});
+test('fetchArticle rejects a page whose Content-Length is over the limit', async () => {
+    const article = await fetchArticle(`${baseUrl}/large`);
+    assert.equal(article.text, undefined);
+    assert.match(article.note, /larger than 5 MB/);
+});
+test('fetchArticle stops reading a page without Content-Length past the limit', async () => {
+    const article = await fetchArticle(`${baseUrl}/large-chunked`);
+    assert.equal(article.text, undefined);
+    assert.match(article.note, /larger than 5 MB/);
+    assert.ok(sentBytes['/large-chunked'] < 10 * MAX_ARTICLE_BYTES, `${sentBytes['/large-chunked']} bytes were sent`);
+});
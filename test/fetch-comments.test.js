@@ -0,0 +1,62 @@
+import { test, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFile } from 'node:fs/promises';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { configureCache } from '../lib/cache.js';
+import { getCommentPageFromDOM, downloadCommentPages, extractComments } from '../lib/fetch-comments.js';
+// Recorded HN pages of post 100: three comments and a "More" link, then a downvoted, a flagged and a deleted comment
+const fixturesDir = fileURLToPath(new URL('./fixtures/', import.meta.url));
+/**
+ * Read an HTML fixture
+ * @param key - Fixture key, e.g. 100-p2
+ * @returns HTML of the page
+ */
+function readPage(key) {
+    return readFile(path.join(fixturesDir, 'hn-html', `${key}.html`), 'utf8');
+}
+before(() => {
+    configureCache({ offline: true, fixturesDir, enabled: false });
+});
+test('getCommentPageFromDOM reads the comments and the "More" link of a page', async () => {
+    const page = getCommentPageFromDOM(await readPage('100'));
+    assert.deepEqual([...page.commentsInDOM.keys()], [101, 103, 102]);
+    assert.deepEqual(page.commentsInDOM.get(103), { position: 1, text: 'Reply to the first & only', downvotes: 0 });
+    assert.equal(page.rowCount, 3);
+    assert.equal(page.nextPageUrl, 'https://news.ycombinator.com/item?id=100&p=2');
+});
+test('getCommentPageFromDOM sets aside the flagged rows and the rows without text', async () => {
+    const page = getCommentPageFromDOM(await readPage('100-p2'), 3);
+    assert.deepEqual([...page.commentsInDOM.keys()], [104]);
+    assert.deepEqual(page.commentsInDOM.get(104), { position: 3, text: 'Downvoted comment on the second page', downvotes: 1 });
+    assert.deepEqual([...page.flaggedIds], [105, 106]);
+    assert.equal(page.skippedCount, 1);
+    assert.equal(page.rowCount, 4);
+    assert.equal(page.nextPageUrl, null);
+});
+test('downloadCommentPages follows the "More" link and continues the positions across pages', async () => {
+    const { commentsInDOM, flaggedIds, pageCount, diagnostics } = await downloadCommentPages(100);
+    assert.equal(pageCount, 2);
+    assert.deepEqual([...commentsInDOM].map(([id, comment]) => [id, comment.position]), [[101, 0], [103, 1], [102, 2], [104, 3]]);
+    assert.deepEqual([...flaggedIds], [105, 106]);
+    assert.deepEqual(diagnostics, { pages: 2, rows: 7, flagged: 2, skipped: 1, kept: 4, truncated: false });
+});
+test('extractComments counts the flagged comments of the tree apart from the missing ones', async () => {
+    const { commentsInDOM, flaggedIds } = await downloadCommentPages(100);
+    const tree = {
+        id: 100,
+        children: [
+            { id: 101, author: 'alice', children: [{ id: 103, author: 'bob', children: [] }] },
+            { id: 102, author: 'carol', children: [] },
+            { id: 104, author: 'dave', children: [] },
+            { id: 105, author: 'erin', children: [{ id: 106, author: 'frank', children: [] }] },
+            { id: 107, author: null, children: [] }
+        ]
+    };
+    const { comments, diagnostics } = extractComments(tree, commentsInDOM, {}, flaggedIds);
+    assert.deepEqual(comments.map(comment => [comment.id, comment.path]), [[101, '1'], [103, '1.1'], [102, '2'], [104, '3']]);
+    assert.deepEqual(diagnostics.api, { total: 7, deleted: 1, flagged: 2, skipped: 3, kept: 4 });
+    assert.equal(diagnostics.missingFromPage, 0);
+    assert.equal(diagnostics.missingFromTree, 0);
+    assert.equal(diagnostics.warning, undefined);
+});
@@ -0,0 +1,61 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { diffComments } from '../lib/snapshots.js';
+// Current thread of post 100: a new top-level comment, a moved comment with a new reply, and an unchanged comment
+const comments = [
+    { id: 4, path: '1', score: 30, parentId: 100, createdAt: '2024-01-02T12:00:00.000Z' },
+    { id: 1, path: '2', score: 8, parentId: 100, createdAt: '2024-01-01T10:00:00.000Z' },
+    { id: 3, path: '2.1', score: 5, parentId: 1, createdAt: '2024-01-02T13:00:00.000Z' },
+    { id: 2, path: '3', score: 4, parentId: 100, createdAt: '2024-01-01T11:00:00.000Z' }
+];
+/**
+ * Build a snapshot of the thread before comments 3 and 4 were posted
+ * @param scoring - Scoring strategy recorded in the snapshot, none for the snapshots saved before it was recorded
+ * @returns Snapshot
+ */
+function makeSnapshot(scoring) {
+    return {
+        id: '1704106800000',
+        postId: 100,
+        scoring,
+        comments: {
+            1: { path: '1', score: 10, position: 0, createdAt: '2024-01-01T10:00:00.000Z' },
+            2: { path: '2', score: 4, position: 1, createdAt: '2024-01-01T11:00:00.000Z' }
+        }
+    };
+}
+/**
+ * Summarize the diff entries
+ * @param entries - Entries from diffComments
+ * @returns ID, status, previous path and previous score of each entry
+ */
+function summarize(entries) {
+    return entries.map(({ comment, status, previousPath, previousScore }) => [comment.id, status, previousPath, previousScore]);
+}
+test('diffComments reports the comments missing from the snapshot, with their ancestors as context', () => {
+    const entries = diffComments(comments, { snapshot: makeSnapshot({ strategy: 'position' }), since: '2024-01-01T12:00:00.000Z' });
+    assert.deepEqual(summarize(entries), [
+        [4, 'new', null, null],
+        [1, 'context', '1', 10],
+        [3, 'new', null, null]
+    ]);
+});
+test('diffComments leaves out the previous scores of a snapshot without scoring strategy', () => {
+    const entries = diffComments(comments, { snapshot: makeSnapshot(undefined), since: '2024-01-01T12:00:00.000Z' });
+    assert.deepEqual(summarize(entries), [
+        [4, 'new', null, null],
+        [1, 'context', '1', null],
+        [3, 'new', null, null]
+    ]);
+});
+test('diffComments reports the comments posted after a time without snapshot', () => {
+    const entries = diffComments(comments, { snapshot: null, since: '2024-01-02T12:30:00.000Z' });
+    assert.deepEqual(summarize(entries), [
+        [1, 'context', null, null],
+        [3, 'new', null, null]
+    ]);
+});
+test('diffComments finds no new comments in an unchanged thread', () => {
+    const unchanged = comments.filter(comment => comment.id === 1 || comment.id === 2);
+    assert.deepEqual(diffComments(unchanged, { snapshot: makeSnapshot({ strategy: 'position' }), since: '2024-01-01T12:00:00.000Z' }), []);
+});
@@ -0,0 +1,55 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { applyTokenBudget } from '../lib/token-budget.js';
+/**
+ * Build a structured comment
+ * @param path - Hierarchy path, e.g. 1.2
+ * @param score - Score of the comment
+ * @param textLength - Length of the text, a long text is about 110 tokens once formatted and a short one about 15
+ * @returns Comment
+ */
+function makeComment(path, score, textLength) {
+    return { id: path, path, score, text: 'x'.repeat(textLength), author: 'alice', replies: 0, downvotes: 0 };
+}
+const LONG = 400;
+const SHORT = 10;
+/**
+ * Get the paths of the chunks, with the context ancestors marked by a trailing *
+ * @param chunks - Chunks from applyTokenBudget
+ * @returns Paths of each chunk
+ */
+function getChunkPaths(chunks) {
+    return chunks.map(chunk => chunk.map(comment => comment.context ? `${comment.path}*` : comment.path));
+}
+test('top_score keeps the ancestors of a kept comment, even over higher scoring comments', () => {
+    const comments = [makeComment('1', 10, LONG), makeComment('1.1', 100, SHORT), makeComment('2', 50, LONG)];
+    const { comments: kept, budget } = applyTokenBudget(comments, { maxTokens: 150 });
+    assert.deepEqual(kept.map(comment => comment.path), ['1', '1.1']);
+    assert.deepEqual(budget.droppedPaths, ['2']);
+    assert.ok(budget.keptTokens <= 150);
+});
+test('top_score drops a comment whose ancestors do not fit', () => {
+    const comments = [makeComment('1', 10, LONG), makeComment('1.1', 100, SHORT), makeComment('2', 50, SHORT)];
+    const { comments: kept } = applyTokenBudget(comments, { maxTokens: 50 });
+    assert.deepEqual(kept.map(comment => comment.path), ['2']);
+});
+test('chunk splits a subtree over the budget and starts the next chunk with its ancestors', () => {
+    const comments = [makeComment('1', 0, LONG), makeComment('1.1', 0, LONG), makeComment('1.2', 0, LONG), makeComment('2', 0, SHORT)];
+    const { chunks, budget } = applyTokenBudget(comments, { maxTokens: 250, strategy: 'chunk' });
+    assert.deepEqual(getChunkPaths(chunks), [['1', '1.1'], ['1*', '1.2'], ['2']]);
+    assert.equal(budget.chunkCount, 3);
+    budget.chunkTokens.forEach(tokens => assert.ok(tokens <= 250, `${tokens} tokens`));
+});
+test('chunk still gives each comment its chunk when its ancestors alone exceed the budget', () => {
+    const comments = [makeComment('1', 0, LONG), makeComment('1.1', 0, LONG), makeComment('1.1.1', 0, LONG)];
+    const { chunks, budget } = applyTokenBudget(comments, { maxTokens: 150, strategy: 'chunk' });
+    assert.deepEqual(getChunkPaths(chunks), [['1'], ['1*', '1.1'], ['1*', '1.1*', '1.1.1']]);
+    // The ancestors are kept for the context, which takes the last chunk over the budget
+    assert.ok(budget.chunkTokens[2] > 150);
+});
+test('chunk reserves the prompt tokens from the budget of each chunk', () => {
+    const comments = [makeComment('1', 0, LONG), makeComment('2', 0, LONG)];
+    assert.equal(applyTokenBudget(comments, { maxTokens: 250, strategy: 'chunk' }).chunks.length, 1);
+    assert.equal(applyTokenBudget(comments, { maxTokens: 250, strategy: 'chunk', chunkPromptTokens: 100 }).chunks.length, 2);
+    assert.throws(() => applyTokenBudget(comments, { maxTokens: 250, strategy: 'chunk', chunkPromptTokens: 250 }), /too small/);
+});